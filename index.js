@@ -27,6 +27,7 @@ const {
   ButtonBuilder,
   ButtonStyle,
   StringSelectMenuBuilder,
+  RoleSelectMenuBuilder,
   ModalBuilder,
   TextInputBuilder,
   TextInputStyle,
@@ -36,17 +37,38 @@ const {
   REST,
   Routes,
   SlashCommandBuilder,
-  EmbedBuilder
+  EmbedBuilder,
+  AttachmentBuilder
 } = require("discord.js");
 
 const fs = require("fs");
 const path = require("path");
+const {
+  MAFIA_SKIP_VOTE,
+  MAFIA_DEFAULT_SETTINGS,
+  MAFIA_TEAMS,
+  MAFIA_ACTIONS,
+  mafiaSeed,
+  mafiaRole,
+  mafiaRoleWins,
+  mafiaShotsLeft,
+  mafiaTeamIds,
+  mafiaPendingActors,
+  mafiaValidTargets,
+  mafiaPhaseSeconds,
+  mafiaStartBlocker,
+  mafiaRoleCounts,
+  mafiaCountsText,
+  validateMafiaSettings,
+  createMafiaState,
+  mafiaStep
+} = require("./mafia-engine");
 
 /* ================= CONFIG ================= */
 const PREFIX = "!";
 const LOG_CHANNEL_ID = "1458550892889510151";
 
-// Level-up messages ALWAYS go here (forced)
+// Default channel for level-up messages (per-guild override via /levelconfig)
 const LEVEL_UP_CHANNEL_ID = "1458565543572537446";
 
 // Slash commands registration (recommended: set your guild id for instant updates)
@@ -62,8 +84,23 @@ const ADMIN_PREFIX_COMMANDS = new Set([
   "economypanel",
   "setbirthdaymsg",
   "setbirthdaychannel",
+  "setbirthdayhour",
+  "setbirthdayrole",
+  "setbirthdaygift",
+  "setbirthdayboard",
+  "setbirthdayleapday",
+  "tokenpanel",
+  "levelconfig",
+  "funconfig",
+  "customcmd",
   "admin-commands"
 ]);
+
+/* Birthdays: timezone for members who haven't set their own (admins can change it per guild) */
+const BIRTHDAY_DEFAULT_TIMEZONE = "Europe/London";
+
+/* Role token rarities (order = cheapest → rarest) */
+const TOKEN_RARITIES = ["common", "uncommon", "rare", "epic", "legendary"];
 /* ========================================= */
 
 const TOKEN = process.env.DISCORD_TOKEN;
@@ -74,6 +111,8 @@ if (!TOKEN) {
 
 const cooldownFile = path.join(__dirname, "cooldowns.json");
 const dataFile = path.join(__dirname, "data.json");
+const ledgerFile = path.join(__dirname, "ledger.json");
+const mafiaFile = path.join(__dirname, "mafia.json");
 
 /* ================= FILE IO ================= */
 function readJson(file) {
@@ -99,6 +138,17 @@ function scheduleSave() {
   }, 600);
 }
 
+// Coin ledger lives in its own file so data.json stays small: guildId -> { seq, entries: [] }
+const ledger = readJson(ledgerFile);
+let ledgerSaveTimer = null;
+function scheduleLedgerSave() {
+  if (ledgerSaveTimer) return;
+  ledgerSaveTimer = setTimeout(() => {
+    ledgerSaveTimer = null;
+    writeJson(ledgerFile, ledger);
+  }, 600);
+}
+
 /* ================= HELPERS ================= */
 async function tryDelete(msg, delayMs = 0) {
   try {
@@ -146,36 +196,165 @@ function isAdminMember(memberOrPermissions) {
   return false;
 }
 
-function ensureGuild(guildId) {
-  if (!data[guildId]) data[guildId] = {};
-
-  // Economy / leveling
-  if (!data[guildId].eco) data[guildId].eco = {};
-  const eco = data[guildId].eco;
+/** True if the bot can add/remove this role (has Manage Roles and sits above it). */
+function canManageRole(guild, role) {
+  const me = guild.members.me;
+  if (!role || !me?.permissions?.has(PermissionsBitField.Flags.ManageRoles)) return false;
+  if (role.managed || role.id === guild.id) return false;
+  return me.roles.highest.comparePositionTo(role) > 0;
+}
 
+/* Economy defaults (also used by the Economy Panel "reset to defaults" button) */
+const ECO_DEFAULTS = {
   // message rewards
-  if (typeof eco.msgRewardCooldownSec !== "number") eco.msgRewardCooldownSec = 20;
-  if (typeof eco.msgCoinsMin !== "number") eco.msgCoinsMin = 1;
-  if (typeof eco.msgCoinsMax !== "number") eco.msgCoinsMax = 3;
-  if (typeof eco.msgXpMin !== "number") eco.msgXpMin = 5;
-  if (typeof eco.msgXpMax !== "number") eco.msgXpMax = 10;
+  msgRewardCooldownSec: 20,
+  msgCoinsMin: 1,
+  msgCoinsMax: 3,
+  msgXpMin: 5,
+  msgXpMax: 10,
 
   // reaction rewards
-  if (typeof eco.reactRewardCooldownSec !== "number") eco.reactRewardCooldownSec = 10;
-  if (typeof eco.reactCoins !== "number") eco.reactCoins = 1;
-  if (typeof eco.reactXp !== "number") eco.reactXp = 2;
+  reactRewardCooldownSec: 10,
+  reactCoins: 1,
+  reactXp: 2,
 
   // voice rewards
-  if (typeof eco.vcCoinsPerMin !== "number") eco.vcCoinsPerMin = 1;
-  if (typeof eco.vcXpPerMin !== "number") eco.vcXpPerMin = 2;
+  vcCoinsPerMin: 1,
+  vcXpPerMin: 2,
 
   // leveling curve
-  if (typeof eco.baseXp !== "number") eco.baseXp = 100;
+  baseXp: 100,
+
+  // pickpocket punish system
+  pickpocketCaughtChance: 0.35, // 35%
+  pickpocketCaughtLimit: 5,
+  pickpocketPunishRoleId: "", // role id to give at limit
+  pickpocketFine: 10, // paid by a caught thief to the victim
+
+  // guard protection (bought by would-be victims)
+  guardPrice: 25,
+  guardDurationMin: 60,
+
+  // duels (challenges expire and refund after duelTimeoutSec)
+  duelTimeoutSec: 120,
+  duelLevelWeighted: false
+};
+
+/*
+ * Economy Panel modal groups. Each field is [key, label, min]; pairs are [minKey, maxKey]
+ * that must satisfy min <= max. Booleans are entered as yes/no.
+ */
+const ECO_GROUPS = {
+  message: {
+    title: "Message rewards",
+    fields: [
+      ["msgRewardCooldownSec", "Cooldown between rewards (seconds)", 0],
+      ["msgCoinsMin", "Coins min", 0],
+      ["msgCoinsMax", "Coins max", 0],
+      ["msgXpMin", "XP min", 0],
+      ["msgXpMax", "XP max", 0]
+    ],
+    pairs: [["msgCoinsMin", "msgCoinsMax"], ["msgXpMin", "msgXpMax"]]
+  },
+  reaction: {
+    title: "Reaction rewards",
+    fields: [
+      ["reactRewardCooldownSec", "Cooldown between rewards (seconds)", 0],
+      ["reactCoins", "Coins per reaction", 0],
+      ["reactXp", "XP per reaction", 0]
+    ],
+    pairs: []
+  },
+  voice: {
+    title: "Voice rewards",
+    fields: [
+      ["vcCoinsPerMin", "Coins per minute in voice", 0],
+      ["vcXpPerMin", "XP per minute in voice", 0]
+    ],
+    pairs: []
+  },
+  leveling: {
+    title: "Leveling curve",
+    fields: [["baseXp", "Base XP (level n costs base × n²)", 1]],
+    pairs: []
+  },
+  extras: {
+    title: "Fines, guards & duels",
+    fields: [
+      ["pickpocketFine", "Fine a caught pickpocket pays", 0],
+      ["guardPrice", "Guard price (coins)", 0],
+      ["guardDurationMin", "Guard duration (minutes)", 1],
+      ["duelTimeoutSec", "Duel challenge timeout (seconds)", 10],
+      ["duelLevelWeighted", "Weight duels by level? (yes/no)", 0]
+    ],
+    pairs: []
+  }
+};
+
+// Mafia settings modals (the settings themselves and their defaults live in mafia-engine.js)
+const MAFIA_SETTING_GROUPS = {
+  timers: {
+    title: "Phase timers",
+    fields: [["nightSec", "Night length (seconds, 15-600)"], ["daySec", "Day length (seconds, 15-600)"]]
+  },
+  players: {
+    title: "Player limits",
+    fields: [
+      ["minPlayers", "Minimum players (3+)"],
+      ["maxPlayers", "Maximum players (up to 25)"],
+      ["lobbySec", "Auto-start countdown (seconds, 0 = off)"],
+      ["afkLimit", "Missed phases before removal (0 = off)"]
+    ]
+  },
+  roles: {
+    title: "Role composition",
+    fields: [
+      ["preset", "Preset: classic, extended, simple or custom"],
+      ["mafia", "Mafia (custom preset only)"],
+      ["medic", "Medics (custom preset only)"],
+      ["detective", "Detectives (custom preset only)"]
+    ]
+  },
+  specials: {
+    title: "Special roles (custom preset)",
+    fields: [
+      ["godfather", "Godfathers"],
+      ["bodyguard", "Bodyguards"],
+      ["vigilante", "Vigilantes"],
+      ["jester", "Jesters"]
+    ]
+  }
+};
 
-  // pickpocket punish system (editable via Economy Panel)
-  if (typeof eco.pickpocketCaughtChance !== "number") eco.pickpocketCaughtChance = 0.35; // 35%
-  if (typeof eco.pickpocketCaughtLimit !== "number") eco.pickpocketCaughtLimit = 5;
-  if (typeof eco.pickpocketPunishRoleId !== "string") eco.pickpocketPunishRoleId = ""; // role id to give at limit
+function ensureGuild(guildId) {
+  if (!data[guildId]) data[guildId] = {};
+
+  // Economy / leveling
+  if (!data[guildId].eco) data[guildId].eco = {};
+  const eco = data[guildId].eco;
+
+  for (const [key, def] of Object.entries(ECO_DEFAULTS)) {
+    if (typeof eco[key] !== typeof def) eco[key] = def;
+  }
+
+  // Role tokens (buy with coins, open for a weighted random role)
+  if (!data[guildId].rng) data[guildId].rng = {};
+  const rng = data[guildId].rng;
+  if (!rng.tokenPrices) rng.tokenPrices = {};
+  if (!rng.roleWeights) rng.roleWeights = {};
+  const defaultTokenPrices = { common: 50, uncommon: 120, rare: 300, epic: 800, legendary: 2000 };
+  for (const r of TOKEN_RARITIES) {
+    if (typeof rng.tokenPrices[r] !== "number") rng.tokenPrices[r] = defaultTokenPrices[r];
+    if (!rng.roleWeights[r] || typeof rng.roleWeights[r] !== "object") rng.roleWeights[r] = {}; // roleId -> weight
+  }
+
+  // Level-up announcements + reward roles
+  if (!data[guildId].levels) data[guildId].levels = {};
+  const levels = data[guildId].levels;
+  if (typeof levels.channelId !== "string" || !levels.channelId) levels.channelId = LEVEL_UP_CHANNEL_ID;
+  if (typeof levels.messageTemplate !== "string") levels.messageTemplate = "⬆️ {user} reached **Level {level}**!";
+  if (!levels.rewards) levels.rewards = {}; // level -> roleId
+  if (typeof levels.stackRewards !== "boolean") levels.stackRewards = true; // false = keep only the highest reward role
 
   // Auto-roles / role rules
   if (!data[guildId].roles) data[guildId].roles = {};
@@ -206,7 +385,44 @@ function ensureGuild(guildId) {
     data[guildId].birthdays.channelId = LEVEL_UP_CHANNEL_ID;
   }
   if (typeof data[guildId].birthdays.pingRoleId !== "string") data[guildId].birthdays.pingRoleId = "";
-  if (typeof data[guildId].birthdays.lastAnnouncedDate !== "string") data[guildId].birthdays.lastAnnouncedDate = "";
+  if (!isValidTimezone(data[guildId].birthdays.timezone)) data[guildId].birthdays.timezone = BIRTHDAY_DEFAULT_TIMEZONE;
+  if (!Number.isInteger(data[guildId].birthdays.announceHour)) data[guildId].birthdays.announceHour = 0;
+  // userId -> local year their birthday was last announced (replaces the guild-wide lastAnnouncedDate)
+  if (!data[guildId].birthdays.announced) data[guildId].birthdays.announced = {};
+  const lastDate = /^(\d{4})-(\d{2})-(\d{2})$/.exec(data[guildId].birthdays.lastAnnouncedDate || "");
+  if (lastDate) {
+    // Whoever was already congratulated that day mustn't be announced again after the upgrade
+    const [, y, m, d] = lastDate.map(Number);
+    for (const [uid, b] of Object.entries(data[guildId].birthdays.users)) {
+      if (b && Number(b.month) === m && Number(b.day) === d) data[guildId].birthdays.announced[uid] ??= y;
+    }
+  }
+  delete data[guildId].birthdays.lastAnnouncedDate;
+  // Temporary role for the member's birthday ("" = off) and an optional gift
+  if (typeof data[guildId].birthdays.roleId !== "string") data[guildId].birthdays.roleId = "";
+  if (!Number.isInteger(data[guildId].birthdays.giftCoins)) data[guildId].birthdays.giftCoins = 0;
+  if (!Number.isInteger(data[guildId].birthdays.giftXp)) data[guildId].birthdays.giftXp = 0;
+  // userId -> { roleId, date, timezone }: birthday roles to take back once that local date has passed
+  if (!data[guildId].birthdays.roleHolders) data[guildId].birthdays.roleHolders = {};
+  // Pinned birthday board in the birthday channel
+  if (typeof data[guildId].birthdays.board !== "boolean") data[guildId].birthdays.board = false;
+  if (typeof data[guildId].birthdays.boardMessageId !== "string") data[guildId].birthdays.boardMessageId = "";
+  if (typeof data[guildId].birthdays.boardChannelId !== "string") data[guildId].birthdays.boardChannelId = "";
+  // Where 29 February birthdays are celebrated in common years: "feb28" or "mar1"
+  if (!["feb28", "mar1"].includes(data[guildId].birthdays.leapDay)) data[guildId].birthdays.leapDay = "feb28";
+
+  // Pending duel challenges (wagers held in escrow): duelId -> challenge
+  if (!data[guildId].duels) data[guildId].duels = {};
+
+  // Mafia rule defaults for new lobbies
+  if (!data[guildId].mafia) data[guildId].mafia = {};
+  if (!data[guildId].mafia.defaults) data[guildId].mafia.defaults = {};
+  const mafiaDefaults = data[guildId].mafia.defaults;
+  for (const [key, def] of Object.entries(MAFIA_DEFAULT_SETTINGS)) {
+    if (typeof mafiaDefaults[key] !== typeof def) mafiaDefaults[key] = def;
+  }
+  if (!Array.isArray(data[guildId].mafia.history)) data[guildId].mafia.history = []; // finished games, oldest first
+  if (typeof data[guildId].mafia.gamesPlayed !== "number") data[guildId].mafia.gamesPlayed = 0;
 
   // Users
   if (!data[guildId].users) data[guildId].users = {};
@@ -214,6 +430,10 @@ function ensureGuild(guildId) {
   scheduleSave();
 }
 
+function emptyMafiaStats() {
+  return { played: 0, wins: {}, survived: 0, roles: {}, detectiveHits: 0 }; // wins: team -> count, roles: role -> times
+}
+
 function ensureUser(guildId, userId) {
   ensureGuild(guildId);
   if (!data[guildId].users[userId]) {
@@ -225,14 +445,29 @@ function ensureUser(guildId, userId) {
       lastMsgReward: 0,
       lastReactReward: 0,
       vcJoinAt: null,
+      voiceMinutes: 0,
 
       customCooldowns: {},
-      pickpocketCaught: 0
+      pickpocketCaught: 0,
+      guardUntil: 0,
+      duelWins: 0,
+      duelLosses: 0,
+
+      tokens: Object.fromEntries(TOKEN_RARITIES.map((r) => [r, 0])),
+
+      mafia: emptyMafiaStats()
     };
   } else {
     const u = data[guildId].users[userId];
     if (!u.customCooldowns) u.customCooldowns = {};
     if (typeof u.pickpocketCaught !== "number") u.pickpocketCaught = 0;
+    if (typeof u.guardUntil !== "number") u.guardUntil = 0;
+    if (typeof u.voiceMinutes !== "number") u.voiceMinutes = 0;
+    if (typeof u.duelWins !== "number") u.duelWins = 0;
+    if (typeof u.duelLosses !== "number") u.duelLosses = 0;
+    if (!u.tokens) u.tokens = {};
+    for (const r of TOKEN_RARITIES) if (typeof u.tokens[r] !== "number") u.tokens[r] = 0;
+    if (!u.mafia || typeof u.mafia !== "object") u.mafia = emptyMafiaStats();
   }
   scheduleSave();
 }
@@ -272,20 +507,291 @@ function xpToLevel(guildId, xp) {
   return lvl;
 }
 
-function addRewards(guildId, userId, coins, xp) {
+function addRewards(guildId, userId, coins, xp, reason = "other") {
   ensureUser(guildId, userId);
   const u = data[guildId].users[userId];
   u.coins += coins;
   u.xp += xp;
+  if (coins) recordTransaction(guildId, userId, coins, reason);
 
+  const oldLevel = u.level;
   const newLevel = xpToLevel(guildId, u.xp);
-  const leveledUp = newLevel > u.level;
+  const leveledUp = newLevel > oldLevel;
   u.level = newLevel;
 
+  // Every reward source (messages, voice, reactions, Mafia...) announces and hands out reward roles
+  if (leveledUp) onLevelUp(guildId, userId, oldLevel, newLevel).catch(() => {});
+
   scheduleSave();
   return { leveledUp, level: u.level };
 }
 
+/* ================= LEVEL-UPS ================= */
+function levelRewardEntries(guildId) {
+  return Object.entries(data[guildId].levels.rewards)
+    .map(([lvl, roleId]) => [Number(lvl), roleId])
+    .filter(([lvl, roleId]) => Number.isFinite(lvl) && roleId)
+    .sort((a, b) => a[0] - b[0]);
+}
+
+async function applyLevelRewardRoles(guild, userId, oldLevel, newLevel) {
+  const guildId = guild.id;
+  const entries = levelRewardEntries(guildId);
+  if (!entries.length) return;
+
+  const crossed = entries.filter(([lvl]) => lvl > oldLevel && lvl <= newLevel);
+  if (!crossed.length) return;
+
+  const member = await guild.members.fetch(userId).catch(() => null);
+  if (!member) return;
+
+  const stack = data[guildId].levels.stackRewards;
+  const toAdd = stack ? crossed.map(([, id]) => id) : [crossed[crossed.length - 1][1]];
+  for (const roleId of toAdd) {
+    const role = guild.roles.cache.get(roleId);
+    if (canManageRole(guild, role) && !member.roles.cache.has(roleId)) await member.roles.add(roleId).catch(() => {});
+  }
+
+  if (!stack) {
+    for (const [, roleId] of entries) {
+      if (toAdd.includes(roleId) || !member.roles.cache.has(roleId)) continue;
+      if (canManageRole(guild, guild.roles.cache.get(roleId))) await member.roles.remove(roleId).catch(() => {});
+    }
+  }
+}
+
+async function onLevelUp(guildId, userId, oldLevel, newLevel) {
+  const guild = client.guilds.cache.get(guildId);
+  if (!guild) return;
+
+  await applyLevelRewardRoles(guild, userId, oldLevel, newLevel);
+
+  const cfg = data[guildId].levels;
+  const ch = guild.channels.cache.get(cfg.channelId);
+  if (!ch) return;
+  const content = cfg.messageTemplate.replaceAll("{user}", `<@${userId}>`).replaceAll("{level}", String(newLevel));
+  await ch.send({ content, allowedMentions: { parse: [] } }).catch(() => {});
+}
+
+function levelConfigText(guildId) {
+  const cfg = data[guildId].levels;
+  const rewards = levelRewardEntries(guildId).map(([lvl, id]) => `Level ${lvl} → <@&${id}>`).join("\n") || "(none)";
+  return `⬆️ **Level-up settings**\n` +
+    `Channel: <#${cfg.channelId}>\n` +
+    `Message: ${cfg.messageTemplate}\n` +
+    `Reward roles ${cfg.stackRewards ? "stack" : "replace the previous one"}:\n${rewards}`;
+}
+
+/* ================= COIN LEDGER ================= */
+const LEDGER_REASONS = {
+  message: "Message reward",
+  reaction: "Reaction reward",
+  voice: "Voice reward",
+  beg: "Beg",
+  pickpocket: "Pickpocket",
+  pickpocketFine: "Pickpocket fine",
+  guard: "Guard hire",
+  duel: "Duel",
+  duelWager: "Duel wager (escrow)",
+  duelRefund: "Duel refund",
+  custom: "Custom command",
+  mafia: "Mafia payout",
+  birthday: "Birthday gift",
+  transfer: "Transfer",
+  tokens: "Token purchase",
+  other: "Other"
+};
+
+/** Appends one coin movement for a user. Never edit or remove entries. */
+function recordTransaction(guildId, userId, amount, reason, otherUserId = "") {
+  if (!ledger[guildId]) ledger[guildId] = { seq: 0, entries: [] };
+  const g = ledger[guildId];
+  g.seq += 1;
+  g.entries.push({
+    id: g.seq,
+    ts: Date.now(),
+    userId,
+    amount,
+    reason,
+    otherUserId,
+    balance: data[guildId]?.users?.[userId]?.coins ?? null
+  });
+  scheduleLedgerSave();
+}
+
+function getTransactions(guildId, userId) {
+  const entries = ledger[guildId]?.entries || [];
+  return entries.filter((e) => e.userId === userId).reverse(); // newest first
+}
+
+/** Moves coins between two members and records both sides. Caller validates the amount. */
+function moveCoins(guildId, fromId, toId, amount, reason) {
+  ensureUser(guildId, fromId);
+  ensureUser(guildId, toId);
+  data[guildId].users[fromId].coins -= amount;
+  data[guildId].users[toId].coins += amount;
+  recordTransaction(guildId, fromId, -amount, reason, toId);
+  recordTransaction(guildId, toId, amount, reason, fromId);
+  scheduleSave();
+}
+
+function transferCoins(guildId, fromId, toId, amount) {
+  if (!Number.isInteger(amount) || amount <= 0) return { ok: false, error: "Amount must be a whole number above 0." };
+  if (fromId === toId) return { ok: false, error: "You can't pay yourself." };
+
+  ensureUser(guildId, fromId);
+  const from = data[guildId].users[fromId];
+  if (from.coins < amount) return { ok: false, error: `You only have **${from.coins}** coins.` };
+
+  moveCoins(guildId, fromId, toId, amount, "transfer");
+  return { ok: true };
+}
+
+const TX_PAGE_SIZE = 10;
+function transactionsPage(guild, userId, page) {
+  const all = getTransactions(guild.id, userId);
+  const pages = Math.max(1, Math.ceil(all.length / TX_PAGE_SIZE));
+  const p = Math.min(Math.max(0, page), pages - 1);
+  const slice = all.slice(p * TX_PAGE_SIZE, (p + 1) * TX_PAGE_SIZE);
+
+  const lines = slice.map((e) => {
+    const sign = e.amount > 0 ? "+" : "";
+    const other = e.otherUserId ? ` ${e.amount > 0 ? "from" : "to"} <@${e.otherUserId}>` : "";
+    const bal = e.balance !== null ? ` → ${e.balance}` : "";
+    return `\`#${e.id}\` <t:${Math.floor(e.ts / 1000)}:f> **${sign}${e.amount}**${bal} — ${LEDGER_REASONS[e.reason] || e.reason}${other}`;
+  });
+
+  const embed = new EmbedBuilder()
+    .setColor(0xFEE75C)
+    .setTitle("🧾 Transactions")
+    .setDescription(`User: <@${userId}>\n\n${lines.join("\n") || "No transactions yet."}`)
+    .setFooter({ text: `Page ${p + 1}/${pages} • ${all.length} entries` });
+
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`tx:page:${userId}:${p - 1}`).setLabel("Prev").setStyle(ButtonStyle.Secondary).setDisabled(p <= 0),
+    new ButtonBuilder().setCustomId(`tx:page:${userId}:${p + 1}`).setLabel("Next").setStyle(ButtonStyle.Secondary).setDisabled(p >= pages - 1)
+  );
+
+  return { embeds: [embed], components: [row], allowedMentions: { parse: [] } };
+}
+
+/* ================= LEADERBOARDS ================= */
+const LEADERBOARD_CATEGORIES = {
+  coins: { title: "💰 Richest", value: (u) => u.coins, format: (v) => `${v} coins` },
+  xp: { title: "✨ Most XP", value: (u) => u.xp, format: (v) => `${v} XP` },
+  level: { title: "⬆️ Highest level", value: (u) => u.level, format: (v, u) => `Level ${v} (${u.xp} XP)` },
+  caught: { title: "🚨 Most caught pickpockets", value: (u) => u.pickpocketCaught, format: (v) => `${v} caught` },
+  voice: { title: "🎙️ Most time in voice", value: (u) => u.voiceMinutes || 0, format: (v) => `${Math.floor(v / 60)}h ${v % 60}m` },
+  mafia: {
+    title: "🕯️ Most Mafia wins",
+    value: (u) => Object.values(u.mafia?.wins || {}).reduce((a, b) => a + b, 0),
+    format: (v, u) => `${v} wins in ${u.mafia.played} games`
+  }
+};
+const LB_PAGE_SIZE = 10;
+
+function leaderboardPage(guildId, category, page, viewerId) {
+  ensureGuild(guildId);
+  const cat = LEADERBOARD_CATEGORIES[category];
+  const rows = Object.entries(data[guildId].users)
+    .map(([id, u]) => ({ id, u, v: cat.value(u) }))
+    .filter((r) => r.v > 0 || (category === "level" && r.u.xp > 0))
+    .sort((a, b) => b.v - a.v || b.u.xp - a.u.xp);
+
+  const pages = Math.max(1, Math.ceil(rows.length / LB_PAGE_SIZE));
+  const p = Math.min(Math.max(0, page), pages - 1);
+  const lines = rows
+    .slice(p * LB_PAGE_SIZE, (p + 1) * LB_PAGE_SIZE)
+    .map((r, i) => `**${p * LB_PAGE_SIZE + i + 1}.** <@${r.id}> — ${cat.format(r.v, r.u)}`);
+
+  const viewerRank = rows.findIndex((r) => r.id === viewerId);
+  const viewerText = viewerRank >= 0
+    ? `Your rank: #${viewerRank + 1} of ${rows.length} — ${cat.format(rows[viewerRank].v, rows[viewerRank].u)}`
+    : "You're not on this leaderboard yet.";
+
+  const embed = new EmbedBuilder()
+    .setColor(0x57F287)
+    .setTitle(cat.title)
+    .setDescription(lines.join("\n") || "Nobody here yet.")
+    .setFooter({ text: `${viewerText} • Page ${p + 1}/${pages}` });
+
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`lb:${category}:${p - 1}:${viewerId}`).setLabel("Prev").setStyle(ButtonStyle.Secondary).setDisabled(p <= 0),
+    new ButtonBuilder().setCustomId(`lb:${category}:${p + 1}:${viewerId}`).setLabel("Next").setStyle(ButtonStyle.Secondary).setDisabled(p >= pages - 1)
+  );
+
+  return { embeds: [embed], components: [row], allowedMentions: { parse: [] } };
+}
+
+/* ================= ROLE TOKENS ================= */
+function parseRarity(raw) {
+  const r = String(raw || "").toLowerCase().trim();
+  return TOKEN_RARITIES.includes(r) ? r : null;
+}
+
+function tokenInventoryText(guildId, userId) {
+  ensureUser(guildId, userId);
+  const u = data[guildId].users[userId];
+  const prices = data[guildId].rng.tokenPrices;
+  const lines = TOKEN_RARITIES.map((r) => `• ${r}: **${u.tokens[r]}** (price ${prices[r]} coins)`);
+  return `🎟️ **Your role tokens**\n${lines.join("\n")}`;
+}
+
+function buyTokens(guildId, userId, rarity, amount) {
+  ensureUser(guildId, userId);
+  const u = data[guildId].users[userId];
+  const price = data[guildId].rng.tokenPrices[rarity];
+  if (!Number.isFinite(amount) || amount < 1 || amount > 100) return { ok: false, error: "Amount must be between 1 and 100." };
+
+  const cost = price * amount;
+  if (u.coins < cost) return { ok: false, error: `You need **${cost}** coins (you have ${u.coins}).` };
+
+  u.coins -= cost;
+  u.tokens[rarity] += amount;
+  recordTransaction(guildId, userId, -cost, "tokens");
+  scheduleSave();
+  return { ok: true, cost };
+}
+
+/** Rolls a role from roleWeights[rarity] (skipping roles the member already has) and grants it. */
+async function openToken(guild, userId, rarity) {
+  const guildId = guild.id;
+  ensureUser(guildId, userId);
+  const u = data[guildId].users[userId];
+  if (u.tokens[rarity] < 1) return { ok: false, error: `You have no **${rarity}** tokens.` };
+  // Reserved before any await so two opens at once can't spend the same token
+  u.tokens[rarity] -= 1;
+  const refund = (error) => {
+    u.tokens[rarity] += 1;
+    return { ok: false, error };
+  };
+
+  if (!guild.members.me?.permissions?.has(PermissionsBitField.Flags.ManageRoles)) {
+    return refund("I don't have permission to give roles.");
+  }
+
+  const member = await guild.members.fetch(userId).catch(() => null);
+  if (!member) return refund("Member not found.");
+
+  const weights = {};
+  for (const [roleId, w] of Object.entries(data[guildId].rng.roleWeights[rarity] || {})) {
+    if (!guild.roles.cache.get(roleId) || member.roles.cache.has(roleId)) continue;
+    weights[roleId] = w;
+  }
+
+  const roleId = weightedPick(weights);
+  if (!roleId) return refund(`No **${rarity}** roles left for you to win. Your token was kept.`);
+
+  try {
+    await member.roles.add(roleId);
+  } catch {
+    return refund("Couldn't give that role (check my role position). Your token was kept.");
+  }
+
+  scheduleSave();
+  return { ok: true, roleId };
+}
+
 /* ================= COOLDOWN ENFORCEMENT ================= */
 for (const guildId of Object.keys(rules)) {
   if (!Array.isArray(rules[guildId]._ignoredChannels)) rules[guildId]._ignoredChannels = [];
@@ -326,30 +832,383 @@ function getCooldownForMember(member, channelId) {
 }
 
 /* ================= BIRTHDAY SYSTEM ================= */
-function londonTodayKey() {
+function isValidTimezone(tz) {
+  if (typeof tz !== "string" || !tz) return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+/** Canonical IANA name for user input ("america/new_york" → "America/New_York"), or "" if unknown. */
+function normalizeTimezone(tz) {
+  if (!isValidTimezone(tz)) return "";
+  return new Intl.DateTimeFormat("en-US", { timeZone: tz }).resolvedOptions().timeZone;
+}
+/** Local calendar date and hour right now in an IANA timezone. */
+function zonedNow(timeZone, now = new Date()) {
   const parts = new Intl.DateTimeFormat("en-CA", {
-    timeZone: "Europe/London",
+    timeZone,
     year: "numeric",
     month: "2-digit",
-    day: "2-digit"
-  }).formatToParts(new Date());
+    day: "2-digit",
+    hour: "2-digit",
+    hourCycle: "h23"
+  }).formatToParts(now);
 
-  const y = parts.find((p) => p.type === "year")?.value;
-  const m = parts.find((p) => p.type === "month")?.value;
-  const d = parts.find((p) => p.type === "day")?.value;
-  return `${y}-${m}-${d}`;
+  const get = (type) => Number(parts.find((p) => p.type === type)?.value);
+  return { year: get("year"), month: get("month"), day: get("day"), hour: get("hour") };
 }
-function londonMonthDay() {
-  const parts = new Intl.DateTimeFormat("en-CA", {
-    timeZone: "Europe/London",
-    month: "2-digit",
-    day: "2-digit"
-  }).formatToParts(new Date());
+function birthdayTimezone(guildId, b) {
+  return isValidTimezone(b?.timezone) ? b.timezone : data[guildId].birthdays.timezone;
+}
+function birthdayText(guildId, b) {
+  const date = b.year ? `${b.day}/${b.month}/${b.year}` : `${b.day}/${b.month}`;
+  return `${date} (${b.timezone || `server default, ${data[guildId].birthdays.timezone}`})`;
+}
+/** Stores a member's birthday; a changed date may be announced again this year. */
+function saveBirthday(guildId, userId, entry) {
+  const bd = data[guildId].birthdays;
+  const old = bd.users[userId];
+  if (!old || Number(old.day) !== entry.day || Number(old.month) !== entry.month) delete bd.announced[userId];
+  bd.users[userId] = entry;
+  scheduleSave();
+  return entry;
+}
+
+const MONTH_NAMES = ["January", "February", "March", "April", "May", "June", "July", "August", "September", "October", "November", "December"];
+const BIRTHDAY_LIST_LIMIT = 30;
+
+function isLeapYear(year) {
+  return (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+}
+function monthLength(month, year) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+/** Why day/month/year isn't a real birthday ("" if it is). Without a year, 29 February is allowed. */
+function birthdayDateError(guildId, day, month, year) {
+  if (!(Number.isInteger(month) && month >= 1 && month <= 12)) return "Month must be 1–12.";
+  const max = monthLength(month, year ?? 2000);
+  if (!(Number.isInteger(day) && day >= 1 && day <= max)) {
+    if (month === 2 && day === 29) return `${year} wasn't a leap year, so it had no 29 February.`;
+    return `${MONTH_NAMES[month - 1]} only has ${max} days.`;
+  }
+  if (year === null) return "";
+  if (year < 1900) return "Year must be 1900 or later (or leave it out).";
+  const today = zonedNow(data[guildId].birthdays.timezone);
+  if (Date.UTC(year, month - 1, day) > Date.UTC(today.year, today.month - 1, today.day)) return "That date is in the future.";
+  return "";
+}
+
+function leapDayText(guildId) {
+  return data[guildId].birthdays.leapDay === "mar1" ? "1 March" : "28 February";
+}
+/** The { month, day } b is celebrated on in `year` — leap-day birthdays move in common years. */
+function observedBirthday(guildId, b, year) {
+  const month = Number(b.month);
+  const day = Number(b.day);
+  if (month !== 2 || day !== 29 || isLeapYear(year)) return { month, day };
+  return data[guildId].birthdays.leapDay === "mar1" ? { month: 3, day: 1 } : { month: 2, day: 28 };
+}
+
+/** Days from `today` ({year, month, day}) until the next time b comes round; 0 means today. */
+function daysUntilBirthday(guildId, b, today) {
+  const start = Date.UTC(today.year, today.month - 1, today.day);
+  const on = (year) => {
+    const o = observedBirthday(guildId, b, year);
+    return Date.UTC(year, o.month - 1, o.day);
+  };
+  let next = on(today.year);
+  if (next < start) next = on(today.year + 1);
+  return Math.round((next - start) / 86400000);
+}
+
+/** Birthdays in the next `days` days (counted in the server's timezone), soonest first. */
+function upcomingBirthdays(guildId, days) {
+  const bd = data[guildId].birthdays;
+  const today = zonedNow(bd.timezone);
+  return Object.entries(bd.users)
+    .filter(([, b]) => b)
+    .map(([uid, b]) => {
+      const inDays = daysUntilBirthday(guildId, b, today);
+      const year = new Date(Date.UTC(today.year, today.month - 1, today.day + inDays)).getUTCFullYear();
+      return { uid, b, inDays, age: b.year ? year - Number(b.year) : null };
+    })
+    .filter((r) => r.inDays <= days)
+    .sort((a, b) => a.inDays - b.inDays || Number(a.b.day) - Number(b.b.day));
+}
+
+function birthdayUpcomingEmbed(guildId, days) {
+  const rows = upcomingBirthdays(guildId, days);
+  const when = (n) => (n === 0 ? "**today**" : n === 1 ? "tomorrow" : `in ${n} days`);
+  const lines = rows.slice(0, BIRTHDAY_LIST_LIMIT).map((r) => {
+    const turns = r.age > 0 ? ` (turns ${r.age})` : "";
+    return `\`${r.b.day} ${MONTH_NAMES[r.b.month - 1].slice(0, 3)}\` <@${r.uid}> — ${when(r.inDays)}${turns}`;
+  });
+  if (rows.length > BIRTHDAY_LIST_LIMIT) lines.push(`…and ${rows.length - BIRTHDAY_LIST_LIMIT} more`);
+
+  return new EmbedBuilder()
+    .setColor(0xEB459E)
+    .setTitle(`🎂 Birthdays in the next ${days} days`)
+    .setDescription(lines.join("\n") || "No birthdays coming up.");
+}
+
+/** A month laid out as a calendar (days with birthdays starred), then who has a birthday on each day. */
+function birthdayMonthEmbed(guildId, month) {
+  const bd = data[guildId].birthdays;
+  const today = zonedNow(bd.timezone);
+  const year = month < today.month ? today.year + 1 : today.year;
+
+  const byDay = new Map();
+  for (const [uid, b] of Object.entries(bd.users)) {
+    if (!b) continue;
+    const { month: m, day } = observedBirthday(guildId, b, year);
+    if (m !== month) continue;
+    if (!byDay.has(day)) byDay.set(day, []);
+    byDay.get(day).push(uid);
+  }
+
+  const daysInMonth = monthLength(month, year);
+  const offset = (new Date(Date.UTC(year, month - 1, 1)).getUTCDay() + 6) % 7; // Monday first
+  const cells = [...Array(offset).fill("    ")];
+  for (let d = 1; d <= daysInMonth; d++) cells.push(`${String(d).padStart(2)}${byDay.has(d) ? "*" : " "} `);
+  const weeks = ["Mo  Tu  We  Th  Fr  Sa  Su"];
+  for (let i = 0; i < cells.length; i += 7) weeks.push(cells.slice(i, i + 7).join("").trimEnd());
+
+  const lines = [...byDay.keys()]
+    .sort((a, b) => a - b)
+    .map((d) => `**${d}** — ${byDay.get(d).map((uid) => `<@${uid}>`).join(", ")}`);
+
+  return new EmbedBuilder()
+    .setColor(0xEB459E)
+    .setTitle(`🎂 ${MONTH_NAMES[month - 1]} ${year}`)
+    .setDescription(`\`\`\`\n${weeks.join("\n")}\n\`\`\`\n${lines.join("\n") || "No birthdays this month."}`.slice(0, 4096));
+}
+
+function birthdayBoardEmbed(guildId) {
+  const bd = data[guildId].birthdays;
+  const next = upcomingBirthdays(guildId, 366).slice(0, 3).map((r) => `<@${r.uid}> (${r.b.day} ${MONTH_NAMES[r.b.month - 1]})`);
+  const embed = new EmbedBuilder()
+    .setColor(0xEB459E)
+    .setTitle("🎂 Birthday board")
+    .setDescription(`${next.length ? `Next up: ${next.join(", ")}` : "No birthdays yet."}\nAdd yours with \`/birthday set\`.`)
+    .setFooter({ text: "Updates whenever someone sets or clears their birthday" });
+
+  for (let m = 1; m <= 12; m++) {
+    const lines = Object.entries(bd.users)
+      .filter(([, b]) => b && Number(b.month) === m)
+      .sort((a, b) => Number(a[1].day) - Number(b[1].day))
+      .map(([uid, b]) => `\`${String(b.day).padStart(2)}\` <@${uid}>`);
+    if (!lines.length) continue;
+    let value = lines.join("\n");
+    if (value.length > 1024) value = `${value.slice(0, value.lastIndexOf("\n", 1000))}\n…`;
+    embed.addFields({ name: MONTH_NAMES[m - 1], value, inline: true });
+  }
+  return embed;
+}
+
+/** Deletes the pinned birthday board, wherever it was posted. */
+async function removeBirthdayBoard(guild) {
+  const bd = data[guild.id].birthdays;
+  if (!bd.boardMessageId) return;
+  const old = guild.channels.cache.get(bd.boardChannelId);
+  await old?.messages.fetch(bd.boardMessageId).then((m) => m.delete(), () => {}).catch(() => {});
+  bd.boardMessageId = "";
+  bd.boardChannelId = "";
+  scheduleSave();
+}
+
+/** Edits the birthday board in place, or posts and pins a new one (e.g. after the birthday channel changed). */
+async function updateBirthdayBoard(guild) {
+  const bd = data[guild.id].birthdays;
+  if (!bd.board) return;
+  const ch = guild.channels.cache.get(bd.channelId);
+  if (!ch) return;
+
+  const payload = { embeds: [birthdayBoardEmbed(guild.id)], allowedMentions: { parse: [] } };
+  if (bd.boardMessageId && bd.boardChannelId === ch.id) {
+    const msg = await ch.messages.fetch(bd.boardMessageId).catch(() => null);
+    if (msg) return void (await msg.edit(payload).catch(() => {}));
+  }
+
+  await removeBirthdayBoard(guild);
+  const msg = await ch.send(payload).catch(() => null);
+  if (!msg) return;
+  await msg.pin().catch(() => {});
+  bd.boardMessageId = msg.id;
+  bd.boardChannelId = ch.id;
+  scheduleSave();
+}
+/* Birthday import/export (admins). Import rows: user ID or mention, day, month, optional year, optional timezone. */
+const BIRTHDAY_IMPORT_MAX_BYTES = 1024 * 1024;
+const BIRTHDAY_IMPORT_SHOWN_ERRORS = 15;
+const BIRTHDAY_IMPORT_COLUMNS = {
+  user: ["user", "userid", "id", "member", "discordid"],
+  day: ["day"],
+  month: ["month"],
+  year: ["year"],
+  timezone: ["timezone", "tz"]
+};
+
+function birthdayImportKey(raw) {
+  const key = String(raw).toLowerCase().replace(/[\s_-]/g, "");
+  return Object.keys(BIRTHDAY_IMPORT_COLUMNS).find((k) => BIRTHDAY_IMPORT_COLUMNS[k].includes(key)) || null;
+}
+
+/** Splits the file into raw rows ({ row, user, day, month, year, timezone }), or throws with a message for the admin. */
+function readBirthdayImportRows(fileName, text) {
+  const trimmed = text.replace(/^\uFEFF/, "").trim();
+  if (/\.json$/i.test(fileName) || /^[[{]/.test(trimmed)) {
+    let parsed;
+    try {
+      parsed = JSON.parse(trimmed);
+    } catch (e) {
+      throw new Error(`That JSON file can't be read: ${e.message}`);
+    }
+    // The export format (userId -> { day, month, year, timezone }) or a list of row objects
+    const list = Array.isArray(parsed) ? parsed : Object.entries(parsed || {}).map(([user, b]) => ({ ...b, user }));
+    return list.map((obj, i) => {
+      const row = { row: i + 1 };
+      for (const [k, v] of Object.entries(obj && typeof obj === "object" ? obj : {})) {
+        const key = birthdayImportKey(k);
+        if (key) row[key] = v;
+      }
+      return row;
+    });
+  }
+
+  const lines = trimmed.split(/\r?\n/);
+  const cells = (line) => line.split(",").map((c) => c.trim().replace(/^"(.*)"$/, "$1").trim());
+  // A header row is optional; without one the columns are user, day, month, year, timezone
+  let columns = ["user", "day", "month", "year", "timezone"];
+  let first = 0;
+  const header = cells(lines[0] || "").map(birthdayImportKey);
+  if (header.includes("user")) {
+    columns = header;
+    first = 1;
+  }
+  const rows = [];
+  for (let i = first; i < lines.length; i++) {
+    if (!lines[i].trim()) continue;
+    const row = { row: i + 1 };
+    cells(lines[i]).forEach((v, c) => {
+      if (columns[c]) row[columns[c]] = v;
+    });
+    rows.push(row);
+  }
+  return rows;
+}
+
+/** Checks every row; returns { entries: [{ userId, entry }], errors: ["Row n: ..."] }. */
+function checkBirthdayImport(guildId, rows) {
+  const entries = [];
+  const errors = [];
+  const seen = new Map();
+  const num = (v) => (v === undefined || v === null || String(v).trim() === "" ? null : Number(v));
+
+  for (const r of rows) {
+    const fail = (why) => errors.push(`Row ${r.row}: ${why}`);
+    const userId = String(r.user ?? "").trim().replace(/^<@!?(\d+)>$/, "$1");
+    if (!/^\d{17,20}$/.test(userId)) {
+      fail(`\`${String(r.user ?? "").slice(0, 40) || "(empty)"}\` isn't a user ID or mention`);
+      continue;
+    }
+    if (seen.has(userId)) {
+      fail(`<@${userId}> is already on row ${seen.get(userId)}`);
+      continue;
+    }
+
+    const day = num(r.day);
+    const month = num(r.month);
+    const year = num(r.year);
+    if (day === null || month === null) {
+      fail("day and month are required");
+      continue;
+    }
+    if (!Number.isInteger(day)) {
+      fail(`\`${String(r.day).slice(0, 40)}\` isn't a day`);
+      continue;
+    }
+    if (!Number.isInteger(month)) {
+      fail(`\`${String(r.month).slice(0, 40)}\` isn't a month`);
+      continue;
+    }
+    if (year !== null && !Number.isInteger(year)) {
+      fail(`\`${String(r.year).slice(0, 40)}\` isn't a year`);
+      continue;
+    }
+    const dateError = birthdayDateError(guildId, day, month, year);
+    if (dateError) {
+      fail(dateError);
+      continue;
+    }
+
+    const rawTz = String(r.timezone ?? "").trim();
+    const timezone = rawTz ? normalizeTimezone(rawTz) : "";
+    if (rawTz && !timezone) {
+      fail(`unknown timezone \`${rawTz.slice(0, 40)}\``);
+      continue;
+    }
+
+    seen.set(userId, r.row);
+    entries.push({ userId, entry: { day, month, year: year ?? "", timezone } });
+  }
+  return { entries, errors };
+}
+
+/** Reads an attached import file and saves it unless dryRun. Returns a reply payload with the report. */
+async function importBirthdays(guild, attachment, dryRun, applyHint) {
+  const guildId = guild.id;
+  if (attachment.size > BIRTHDAY_IMPORT_MAX_BYTES) return { content: "That file is too big (1 MB max)." };
+
+  let rows;
+  try {
+    const res = await fetch(attachment.url);
+    if (!res.ok) throw new Error(`Couldn't download the file (HTTP ${res.status}).`);
+    rows = readBirthdayImportRows(attachment.name || "", await res.text());
+  } catch (e) {
+    return { content: e.message };
+  }
+  if (!rows.length) return { content: "That file has no rows." };
+
+  const { entries, errors } = checkBirthdayImport(guildId, rows);
+  const users = data[guildId].birthdays.users;
+  const updated = entries.filter((e) => users[e.userId]).length;
+
+  if (!dryRun && entries.length) {
+    for (const { userId, entry } of entries) saveBirthday(guildId, userId, entry);
+    updateBirthdayBoard(guild).catch(() => {});
+    await adminLog(guild, `🎂 Imported ${entries.length} birthday(s) from ${attachment.name} (${errors.length} row(s) skipped).`);
+  }
 
-  const m = parts.find((p) => p.type === "month")?.value;
-  const d = parts.find((p) => p.type === "day")?.value;
-  return { month: Number(m), day: Number(d) };
+  const preview = entries.slice(0, 10).map(({ userId, entry }) => `<@${userId}> — ${birthdayText(guildId, entry)}`);
+  const shownErrors = errors.slice(0, BIRTHDAY_IMPORT_SHOWN_ERRORS);
+  if (errors.length > shownErrors.length) shownErrors.push(`…and ${errors.length - shownErrors.length} more (see the attached report)`);
+
+  const embed = new EmbedBuilder()
+    .setColor(errors.length ? 0xFEE75C : 0x57F287)
+    .setTitle(dryRun ? "🎂 Birthday import — dry run (nothing saved)" : "🎂 Birthday import")
+    .setDescription(
+      `${dryRun ? "Would import" : "Imported"} **${entries.length}** of ${rows.length} row(s): ` +
+        `${entries.length - updated} new, ${updated} replacing a saved birthday. **${errors.length}** row(s) skipped.` +
+        (dryRun && entries.length ? `\nTo save, ${applyHint}` : "")
+    );
+  if (preview.length) embed.addFields({ name: "Preview", value: preview.join("\n").slice(0, 1024) });
+  if (shownErrors.length) embed.addFields({ name: "Errors", value: shownErrors.join("\n").slice(0, 1024) });
+
+  const files = errors.length > BIRTHDAY_IMPORT_SHOWN_ERRORS
+    ? [new AttachmentBuilder(Buffer.from(errors.join("\n")), { name: "birthday-import-errors.txt" })]
+    : [];
+  return { embeds: [embed], files };
 }
+
+function birthdayExportFile(guildId) {
+  const json = JSON.stringify(data[guildId].birthdays.users, null, 2);
+  return new AttachmentBuilder(Buffer.from(json), { name: `birthdays-${guildId}.json` });
+}
+
 async function ensureBirthdayPingRole(guild) {
   const guildId = guild.id;
   ensureGuild(guildId);
@@ -375,87 +1234,284 @@ async function ensureBirthdayPingRole(guild) {
     return "";
   }
 }
+
+function birthdayGiftText(guildId) {
+  const { giftCoins, giftXp } = data[guildId].birthdays;
+  const parts = [];
+  if (giftCoins) parts.push(`${giftCoins} coins`);
+  if (giftXp) parts.push(`${giftXp} XP`);
+  return parts.join(" and ");
+}
+
+/** Takes the birthday role back from members whose birthday has ended in their timezone. */
+async function expireBirthdayRoles(guild, now) {
+  const bd = data[guild.id].birthdays;
+  for (const [uid, h] of Object.entries(bd.roleHolders)) {
+    const local = zonedNow(h.timezone, now);
+    if (`${local.year}-${local.month}-${local.day}` === h.date) continue;
+
+    const member = await guild.members.fetch(uid).catch(() => null);
+    if (member?.roles.cache.has(h.roleId)) await member.roles.remove(h.roleId, "Birthday over").catch(() => {});
+    delete bd.roleHolders[uid];
+    scheduleSave();
+  }
+}
+
+/**
+ * Runs every few minutes. Each member is congratulated once per year, on their birthday in their own
+ * timezone, once the guild's announce hour has been reached there.
+ */
 async function runBirthdayCheck(client) {
-  const todayKey = londonTodayKey();
-  const { month, day } = londonMonthDay();
+  const now = new Date();
 
   for (const guild of client.guilds.cache.values()) {
     const guildId = guild.id;
     ensureGuild(guildId);
-
-    if (data[guildId].birthdays.lastAnnouncedDate === todayKey) continue;
-
-    const users = data[guildId].birthdays.users || {};
-    const birthdayUserIds = Object.entries(users)
-      .filter(([, b]) => b && Number(b.month) === month && Number(b.day) === day)
-      .map(([uid]) => uid);
-
-    if (birthdayUserIds.length === 0) {
-      data[guildId].birthdays.lastAnnouncedDate = todayKey;
-      scheduleSave();
-      continue;
+    const bd = data[guildId].birthdays;
+    await expireBirthdayRoles(guild, now);
+
+    const due = [];
+    for (const [uid, b] of Object.entries(bd.users || {})) {
+      if (!b) continue;
+      const local = zonedNow(birthdayTimezone(guildId, b), now);
+      const on = observedBirthday(guildId, b, local.year);
+      if (on.month !== local.month || on.day !== local.day) continue;
+      if (local.hour < bd.announceHour || bd.announced[uid] === local.year) continue;
+      due.push({ uid, b, localYear: local.year });
     }
+    if (due.length === 0) continue;
 
     const pingRoleId = await ensureBirthdayPingRole(guild);
     const pingText = pingRoleId ? `<@&${pingRoleId}>` : "";
 
-    const channelId = data[guildId].birthdays.channelId || LEVEL_UP_CHANNEL_ID;
+    const channelId = bd.channelId || LEVEL_UP_CHANNEL_ID;
     const ch = guild.channels.cache.get(channelId) || guild.channels.cache.get(LEVEL_UP_CHANNEL_ID);
-    if (!ch) {
-      data[guildId].birthdays.lastAnnouncedDate = todayKey;
-      scheduleSave();
-      continue;
-    }
-
-    const template = data[guildId].birthdays.messageTemplate || "🎂 Happy birthday {user}!";
-
-    for (const uid of birthdayUserIds.slice(0, 20)) {
-      const b = users[uid];
-      const display = `<@${uid}>`;
+    const template = bd.messageTemplate || "🎂 Happy birthday {user}!";
+    const role = bd.roleId ? guild.roles.cache.get(bd.roleId) : null;
+
+    for (const { uid, b, localYear } of due.slice(0, 20)) {
+      // Marked even without a channel, so a missing channel doesn't replay the whole day later
+      bd.announced[uid] = localYear;
+      if (bd.giftCoins || bd.giftXp) addRewards(guildId, uid, bd.giftCoins, bd.giftXp, "birthday");
+      if (canManageRole(guild, role)) {
+        const member = await guild.members.fetch(uid).catch(() => null);
+        const added = member && (await member.roles.add(role, "Birthday").then(() => true, () => false));
+        if (added) {
+          const timezone = birthdayTimezone(guildId, b);
+          const local = zonedNow(timezone, now);
+          bd.roleHolders[uid] = { roleId: role.id, date: `${local.year}-${local.month}-${local.day}`, timezone };
+        }
+      }
+      if (!ch) continue;
 
       let ageText = "";
-      if (b?.year && Number.isFinite(Number(b.year))) {
-        const y = Number(b.year);
-        const nowYear = Number(todayKey.slice(0, 4));
-        const age = nowYear - y;
+      if (b.year && Number.isFinite(Number(b.year))) {
+        const age = localYear - Number(b.year);
         if (age > 0 && age < 130) ageText = String(age);
       }
 
-      const msg = template.replaceAll("{user}", display).replaceAll("{age}", ageText);
+      const msg = template
+        .replaceAll("{user}", `<@${uid}>`)
+        .replaceAll("{age}", ageText)
+        .replaceAll("{gift}", birthdayGiftText(guildId));
       const finalMsg = pingText ? `${pingText} ${msg}` : msg;
 
       await ch.send({ content: finalMsg, allowedMentions: { parse: ["roles", "users"] } }).catch(() => {});
     }
-
-    data[guildId].birthdays.lastAnnouncedDate = todayKey;
     scheduleSave();
   }
 }
 
 /* ================= MAFIA ================= */
-const mafiaGames = new Map(); // guildId -> state
+const mafiaGames = new Map(); // gameId -> state (each game is bound to one channel)
+const mafiaTimers = new Map(); // gameId -> pending phase timeout (not persisted)
+const mafiaReminders = new Map(); // gameId -> pending "you haven't acted" reminder timeout
+
+// Game state uses Maps/Sets, so persist them with tagged JSON
+function mafiaReplacer(key, value) {
+  if (value instanceof Map) return { $map: [...value] };
+  if (value instanceof Set) return { $set: [...value] };
+  return value;
+}
+function mafiaReviver(key, value) {
+  if (value && Array.isArray(value.$map)) return new Map(value.$map);
+  if (value && Array.isArray(value.$set)) return new Set(value.$set);
+  return value;
+}
 
-function shuffle(arr) {
-  for (let i = arr.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [arr[i], arr[j]] = [arr[j], arr[i]];
+/** Writes every active lobby/game to disk. Called on each transition so a restart can resume. */
+function saveMafiaGames() {
+  try {
+    fs.writeFileSync(mafiaFile, JSON.stringify(Object.fromEntries(mafiaGames), mafiaReplacer, 2));
+  } catch (e) {
+    console.log("⚠️ Could not save Mafia games:", e?.message || e);
   }
-  return arr;
 }
-function mafiaRoleCounts(n) {
-  const mafia = Math.max(1, Math.floor(n / 4));
-  const medic = n >= 5 ? 1 : 0;
-  const detective = n >= 6 ? 1 : 0;
-  const villager = Math.max(0, n - mafia - medic - detective);
-  return { mafia, medic, detective, villager };
+function loadMafiaGames() {
+  try {
+    return JSON.parse(fs.readFileSync(mafiaFile, "utf8") || "{}", mafiaReviver);
+  } catch {
+    return {};
+  }
+}
+
+function mafiaGameInChannel(channelId) {
+  return [...mafiaGames.values()].find((g) => g.channelId === channelId) || null;
+}
+/** Players can only be in one lobby/game at a time. */
+function mafiaGameOfPlayer(userId) {
+  return [...mafiaGames.values()].find((g) => g.players.has(userId)) || null;
 }
-function mafiaWinCheck(game) {
-  const living = [...game.living];
-  const mafiaLiving = living.filter((id) => game.roles.get(id) === "mafia");
-  const townLiving = living.filter((id) => game.roles.get(id) !== "mafia");
-  if (mafiaLiving.length === 0) return "town";
-  if (mafiaLiving.length >= townLiving.length) return "mafia";
-  return null;
+/** Returns why a lobby can't be opened here (one game per channel, one game per player), or "". */
+function mafiaLobbyBlocker(channelId, userId) {
+  if (mafiaGameInChannel(channelId)) return "A Mafia lobby/game is already running in this channel.";
+  const own = mafiaGameOfPlayer(userId);
+  if (own) return `You're already in a Mafia game in <#${own.channelId}>.`;
+  return "";
+}
+
+function clearMafiaTimers(gameId) {
+  clearTimeout(mafiaTimers.get(gameId));
+  clearTimeout(mafiaReminders.get(gameId));
+  mafiaTimers.delete(gameId);
+  mafiaReminders.delete(gameId);
+}
+
+function deleteMafiaGame(gameId) {
+  clearMafiaTimers(gameId);
+  mafiaGames.delete(gameId);
+  saveMafiaGames();
+}
+
+/** Resolves the current phase after ms, remembering the deadline so it can be rescheduled after a restart. */
+function scheduleMafiaPhase(guild, gameId, ms) {
+  const game = mafiaGames.get(gameId);
+  if (!game) return;
+  clearMafiaTimers(gameId);
+  game.phaseEndsAt = Date.now() + ms;
+  mafiaTimers.set(gameId, setTimeout(() => dispatchMafia(guild, gameId, { type: "resolve" }).catch(() => {}), ms));
+  // Nudge whoever hasn't acted yet halfway through the phase
+  if (ms >= 30000) mafiaReminders.set(gameId, setTimeout(() => remindInactiveMafiaPlayers(guild, gameId).catch(() => {}), ms / 2));
+  saveMafiaGames();
+}
+
+function mafiaSettingsText(s) {
+  const roles = s.preset === "custom"
+    ? `custom (${mafiaCountsText(mafiaRoleCounts(0, s)) || "no special roles"}, rest Villagers)`
+    : s.preset;
+  return [
+    `Night: **${s.nightSec}s** · Day: **${s.daySec}s**`,
+    `Players: **${s.minPlayers}–${s.maxPlayers}** · AFK removal: **${s.afkLimit ? `after ${s.afkLimit} missed phases` : "off"}**`,
+    `Auto-start: **${s.lobbySec ? `when full, or ${s.lobbySec}s after enough players` : "when full"}** · Ready check: **${s.readyCheck ? "on" : "off"}**`,
+    `Roles: **${roles}**`,
+    `Reveal roles on death: **${s.revealOnDeath ? "yes" : "no"}** · Medic self-save: **${s.medicSelfSave ? "yes" : "no"}**`,
+    `Votes: **${s.anonymousVotes ? "anonymous" : "named"}** · Ties: **${s.tieRunoff ? "runoff" : "no lynch"}**`
+  ].join("\n");
+}
+
+/** Role reveal appended to death announcements when the game's rules allow it. */
+function mafiaDeathNote(game, userId) {
+  if (!game.settings.revealOnDeath) return "";
+  return ` — they were **${(game.roles.get(userId) || "villager").toUpperCase()}**`;
+}
+
+function createMafiaLobby(guildId, hostId, channelId) {
+  ensureGuild(guildId);
+  let id;
+  do id = `${Date.now().toString(36)}${randInt(0, 1295).toString(36)}`; while (mafiaGames.has(id));
+  // The seed drives every random draw of the engine, so it is enough to replay the game
+  const game = { id, guildId, channelId, lobbyMessageId: "", ...createMafiaState(hostId, data[guildId].mafia.defaults, randInt(0, 0xffffffff)) };
+  mafiaGames.set(id, game);
+  return game;
+}
+
+/* ================= Mafia stats & history ================= */
+const MAFIA_HISTORY_LIMIT = 50;
+const MAFIA_HISTORY_PAGE_SIZE = 5;
+const MAFIA_ELIMINATION_LABELS = { night: "killed at night", lynch: "voted out", afk: "removed (AFK)" };
+
+/** Stores a finished game in the guild's history and updates every player's stats. */
+function recordMafiaResult(guildId, game, winner) {
+  ensureGuild(guildId);
+  const m = data[guildId].mafia;
+  m.gamesPlayed += 1;
+  m.history.push({
+    id: m.gamesPlayed,
+    endedAt: Date.now(),
+    winner,
+    rounds: game.round,
+    players: [...game.roles.keys()],
+    roles: Object.fromEntries(game.roles),
+    lynchWinners: [...game.lynchWinners],
+    eliminations: game.eliminations
+  });
+  if (m.history.length > MAFIA_HISTORY_LIMIT) m.history.splice(0, m.history.length - MAFIA_HISTORY_LIMIT);
+
+  for (const [pid, role] of game.roles.entries()) {
+    ensureUser(guildId, pid);
+    const st = data[guildId].users[pid].mafia;
+    st.played += 1;
+    st.roles[role] = (st.roles[role] || 0) + 1;
+    if (mafiaRoleWins(game, winner, pid)) {
+      const team = mafiaRole(role).team;
+      st.wins[team] = (st.wins[team] || 0) + 1;
+    }
+    if (game.living.has(pid)) st.survived += 1;
+    st.detectiveHits += game.detectiveHits.get(pid) || 0;
+  }
+  scheduleSave();
+}
+
+function mafiaStatsText(guildId, userId) {
+  ensureUser(guildId, userId);
+  const st = data[guildId].users[userId].mafia;
+  if (!st.played) return `🕯️ <@${userId}> hasn't finished a Mafia game yet.`;
+
+  const pct = (n) => `${Math.round((n / st.played) * 100)}%`;
+  const wins = Object.values(st.wins).reduce((a, b) => a + b, 0);
+  const byTeam = Object.entries(st.wins).map(([team, n]) => `${team} ${n}`).join(", ");
+  const roles = Object.entries(st.roles)
+    .sort((a, b) => b[1] - a[1])
+    .map(([role, n]) => `${role} ${n}`)
+    .join(", ");
+
+  return `🕯️ **Mafia stats** for <@${userId}>
+Games: **${st.played}** · Wins: **${wins}** (${pct(wins)})${byTeam ? ` — ${byTeam}` : ""}
+Survived: **${st.survived}** (${pct(st.survived)})
+Roles played: ${roles}
+Detective hits: **${st.detectiveHits}**`;
+}
+
+function mafiaHistoryPage(guildId, page) {
+  ensureGuild(guildId);
+  const all = [...data[guildId].mafia.history].reverse(); // newest first
+  const pages = Math.max(1, Math.ceil(all.length / MAFIA_HISTORY_PAGE_SIZE));
+  const p = Math.min(Math.max(0, page), pages - 1);
+
+  const blocks = all.slice(p * MAFIA_HISTORY_PAGE_SIZE, (p + 1) * MAFIA_HISTORY_PAGE_SIZE).map((g) => {
+    const jesters = g.lynchWinners.length ? ` (+ ${g.lynchWinners.map((id) => `<@${id}>`).join(", ")})` : "";
+    const mafia = g.players.filter((id) => mafiaRole(g.roles[id]).team === "mafia").map((id) => `<@${id}>`).join(", ");
+    const out = g.eliminations
+      .map((e) => `<@${e.userId}> (${g.roles[e.userId]}, round ${e.round}, ${MAFIA_ELIMINATION_LABELS[e.cause] || e.cause})`)
+      .join(" → ");
+    return `**Game #${g.id}** · <t:${Math.floor(g.endedAt / 1000)}:f>\n` +
+      `${MAFIA_TEAMS[g.winner]?.banner || g.winner}${jesters} · ${g.players.length} players · ${g.rounds} round${g.rounds === 1 ? "" : "s"}\n` +
+      `Mafia: ${mafia || "—"}\n` +
+      `Eliminations: ${out || "none"}`;
+  });
+
+  const embed = new EmbedBuilder()
+    .setColor(0x2B2D31)
+    .setTitle("🕯️ Mafia match history")
+    .setDescription(blocks.join("\n\n") || "No finished games yet.")
+    .setFooter({ text: `Page ${p + 1}/${pages} • ${data[guildId].mafia.gamesPlayed} games played` });
+
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`mafiahist:page:${p - 1}`).setLabel("Prev").setStyle(ButtonStyle.Secondary).setDisabled(p <= 0),
+    new ButtonBuilder().setCustomId(`mafiahist:page:${p + 1}`).setLabel("Next").setStyle(ButtonStyle.Secondary).setDisabled(p >= pages - 1)
+  );
+
+  return { embeds: [embed], components: [row], allowedMentions: { parse: [] } };
 }
 
 /* ================= CLIENT ================= */
@@ -485,7 +1541,116 @@ function rolesPanelButtons() {
   ];
 }
 
-// Economy panel UI (for pickpocket punish settings)
+// Roles panel views (ephemeral, one per admin)
+const roleRuleDrafts = new Map(); // `${guildId}:${userId}` -> { triggerRoleId, requireRoleId, removeRoleIds }
+const ROLE_RULES_PAGE_SIZE = 10;
+
+function joinRoleView(guildId) {
+  const current = data[guildId].roles.joinRoleId;
+  const select = new RoleSelectMenuBuilder().setCustomId("rolesel:joinRole").setPlaceholder("Choose the join role…").setMinValues(1).setMaxValues(1);
+  if (current) select.setDefaultRoles(current);
+  return {
+    content: `🛡️ **Join role**: ${current ? `<@&${current}>` : "(none)"}\nNew members get this role automatically.`,
+    components: [
+      new ActionRowBuilder().addComponents(select),
+      new ActionRowBuilder().addComponents(
+        new ButtonBuilder().setCustomId("roles:clearJoinRole").setLabel("No join role").setStyle(ButtonStyle.Secondary).setDisabled(!current)
+      )
+    ],
+    allowedMentions: { parse: [] }
+  };
+}
+
+function roleRuleEditorView(draft) {
+  if (!draft.triggerRoleId) {
+    return {
+      content: "🛡️ **Add/Update role rule** — first choose the trigger role (when a member gains it, the rule runs).",
+      components: [
+        new ActionRowBuilder().addComponents(
+          new RoleSelectMenuBuilder().setCustomId("rolesel:ruleTrigger").setPlaceholder("Trigger role…").setMinValues(1).setMaxValues(1)
+        )
+      ],
+      allowedMentions: { parse: [] }
+    };
+  }
+
+  const requireSelect = new RoleSelectMenuBuilder().setCustomId("rolesel:ruleRequire").setPlaceholder("Also give this role… (optional)").setMinValues(0).setMaxValues(1);
+  if (draft.requireRoleId) requireSelect.setDefaultRoles(draft.requireRoleId);
+  const removeSelect = new RoleSelectMenuBuilder().setCustomId("rolesel:ruleRemove").setPlaceholder("Remove these roles… (optional)").setMinValues(0).setMaxValues(25);
+  if (draft.removeRoleIds.length) removeSelect.setDefaultRoles(...draft.removeRoleIds);
+
+  return {
+    content:
+      `🛡️ **Role rule** for <@&${draft.triggerRoleId}>\n` +
+      `Give: ${draft.requireRoleId ? `<@&${draft.requireRoleId}>` : "(nothing)"}\n` +
+      `Remove: ${draft.removeRoleIds.map((id) => `<@&${id}>`).join(", ") || "(nothing)"}\n` +
+      `Press **Save** when done.`,
+    components: [
+      new ActionRowBuilder().addComponents(requireSelect),
+      new ActionRowBuilder().addComponents(removeSelect),
+      new ActionRowBuilder().addComponents(
+        new ButtonBuilder().setCustomId("roles:saveRule").setLabel("Save").setStyle(ButtonStyle.Success),
+        new ButtonBuilder().setCustomId("roles:cancelRule").setLabel("Cancel").setStyle(ButtonStyle.Secondary)
+      )
+    ],
+    allowedMentions: { parse: [] }
+  };
+}
+
+/** Returns an error message, or "" if the bot can enforce the rule. */
+function validateRoleRule(guild, draft) {
+  if (!guild.roles.cache.get(draft.triggerRoleId)) return "The trigger role no longer exists.";
+  if (!draft.requireRoleId && !draft.removeRoleIds.length) return "A rule needs a role to give or roles to remove.";
+
+  const managed = [draft.requireRoleId, ...draft.removeRoleIds].filter(Boolean);
+  if (managed.includes(draft.triggerRoleId)) return "The trigger role can't also be given or removed by its own rule.";
+  if (draft.requireRoleId && draft.removeRoleIds.includes(draft.requireRoleId)) return "A role can't be both given and removed.";
+
+  const blocked = managed.filter((id) => !canManageRole(guild, guild.roles.cache.get(id)));
+  if (blocked.length) {
+    return `I can't manage ${blocked.map((id) => `<@&${id}>`).join(", ")} — move my role above them and make sure I have Manage Roles.`;
+  }
+  return "";
+}
+
+function roleRulesPageView(guildId, page) {
+  const entries = Object.entries(data[guildId].roles.roleRules);
+  const pages = Math.max(1, Math.ceil(entries.length / ROLE_RULES_PAGE_SIZE));
+  const p = Math.min(Math.max(0, page), pages - 1);
+  const slice = entries.slice(p * ROLE_RULES_PAGE_SIZE, (p + 1) * ROLE_RULES_PAGE_SIZE);
+
+  const lines = slice.map(([trigger, rule]) => {
+    const give = rule.requireRoleId ? `give <@&${rule.requireRoleId}>` : "";
+    const remove = rule.removeRoleIds?.length ? `remove ${rule.removeRoleIds.map((id) => `<@&${id}>`).join(", ")}` : "";
+    return `• <@&${trigger}> → ${[give, remove].filter(Boolean).join("; ") || "(nothing)"}`;
+  });
+
+  const components = [
+    new ActionRowBuilder().addComponents(
+      new ButtonBuilder().setCustomId(`roles:rulesPage:${p - 1}`).setLabel("Prev").setStyle(ButtonStyle.Secondary).setDisabled(p <= 0),
+      new ButtonBuilder().setCustomId(`roles:rulesPage:${p + 1}`).setLabel("Next").setStyle(ButtonStyle.Secondary).setDisabled(p >= pages - 1)
+    )
+  ];
+  if (slice.length) {
+    const guild = client.guilds.cache.get(guildId);
+    components.unshift(
+      new ActionRowBuilder().addComponents(
+        new StringSelectMenuBuilder()
+          .setCustomId(`rolesdel:${p}`)
+          .setPlaceholder("Delete a rule…")
+          .addOptions(slice.map(([trigger]) => ({ label: guild?.roles.cache.get(trigger)?.name?.slice(0, 100) || trigger, value: trigger })))
+      )
+    );
+  }
+
+  return {
+    content: `🛡️ **Role rules** (page ${p + 1}/${pages})\n${lines.join("\n") || "No rules yet."}`,
+    components,
+    allowedMentions: { parse: [] }
+  };
+}
+
+// Economy panel UI (every eco setting)
 function economyPanelButtons() {
   return [
     new ActionRowBuilder().addComponents(
@@ -493,25 +1658,149 @@ function economyPanelButtons() {
       new ButtonBuilder().setCustomId("eco:setCaughtChance").setLabel("Set pickpocket caught chance").setStyle(ButtonStyle.Primary),
       new ButtonBuilder().setCustomId("eco:setCaughtLimit").setLabel("Set caught limit").setStyle(ButtonStyle.Primary),
       new ButtonBuilder().setCustomId("eco:setPunishRole").setLabel("Set punish role").setStyle(ButtonStyle.Danger)
+    ),
+    new ActionRowBuilder().addComponents(
+      ...Object.entries(ECO_GROUPS).map(([key, g]) =>
+        new ButtonBuilder().setCustomId(`eco:group:${key}`).setLabel(g.title).setStyle(ButtonStyle.Primary)
+      )
+    ),
+    new ActionRowBuilder().addComponents(
+      new ButtonBuilder().setCustomId("eco:reset").setLabel("Reset to defaults").setStyle(ButtonStyle.Danger)
+    )
+  ];
+}
+
+function formatEcoValue(key, value) {
+  if (typeof value === "boolean") return value ? "yes" : "no";
+  if (key === "pickpocketCaughtChance") return `${Math.round(value * 100)}%`;
+  return value === "" ? "(none)" : String(value);
+}
+
+/** "key: old → new" for every changed setting, or [] if nothing changed. */
+function ecoDiff(before, after) {
+  return Object.keys(after)
+    .filter((k) => before[k] !== after[k])
+    .map((k) => `${k}: ${formatEcoValue(k, before[k])} → ${formatEcoValue(k, after[k])}`);
+}
+
+// Token panel UI (prices + role weights per rarity)
+function tokenPanelButtons() {
+  return [
+    new ActionRowBuilder().addComponents(
+      new ButtonBuilder().setCustomId("rng:view").setLabel("View token settings").setStyle(ButtonStyle.Secondary),
+      new ButtonBuilder().setCustomId("rng:setPrice").setLabel("Set token price").setStyle(ButtonStyle.Primary),
+      new ButtonBuilder().setCustomId("rng:setWeight").setLabel("Set role weight").setStyle(ButtonStyle.Primary)
     )
   ];
 }
 
-function mafiaLobbyButtons(hostId) {
+// Fun command config UI (custom.commands)
+function funConfigPanel(guildId) {
+  const options = Object.entries(data[guildId].custom.commands).map(([name, cfg]) => ({
+    label: name,
+    value: name,
+    description: `${cfg.enabled ? "on" : "off"} • ${cfg.coinsMin}-${cfg.coinsMax} coins • ${cfg.cooldownSec}s cooldown`
+  }));
+  const menu = new StringSelectMenuBuilder()
+    .setCustomId("funcfg:pick")
+    .setPlaceholder("Choose an action to configure…")
+    .addOptions(options.slice(0, 25));
+  return [new ActionRowBuilder().addComponents(menu)];
+}
+
+function funConfigView(guildId, name) {
+  const cfg = data[guildId].custom.commands[name];
+  const roles = cfg.allowedRoleIds.length ? cfg.allowedRoleIds.map((id) => `<@&${id}>`).join(", ") : "everyone";
+  return {
+    content:
+      `🎭 **${name}**\n` +
+      `Enabled: **${cfg.enabled ? "yes" : "no"}**\n` +
+      `Allowed roles: ${roles}\n` +
+      `Coins: **${cfg.coinsMin}–${cfg.coinsMax}**\n` +
+      `Cooldown: **${cfg.cooldownSec}s**` +
+      (cfg.template ? `\nTemplate: ${cfg.template}${cfg.requiresTarget ? " (needs a target)" : ""}` : ""),
+    components: [
+      new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+          .setCustomId(`funcfg:toggle:${name}`)
+          .setLabel(cfg.enabled ? "Disable" : "Enable")
+          .setStyle(cfg.enabled ? ButtonStyle.Danger : ButtonStyle.Success),
+        new ButtonBuilder().setCustomId(`funcfg:tune:${name}`).setLabel("Rewards & cooldown").setStyle(ButtonStyle.Primary),
+        new ButtonBuilder().setCustomId(`funcfg:clearRoles:${name}`).setLabel("Allow everyone").setStyle(ButtonStyle.Secondary)
+      ),
+      new ActionRowBuilder().addComponents(
+        new RoleSelectMenuBuilder()
+          .setCustomId(`funcfg:roles:${name}`)
+          .setPlaceholder("Restrict to roles…")
+          .setMinValues(0)
+          .setMaxValues(25)
+      )
+    ],
+    allowedMentions: { parse: [] }
+  };
+}
+
+function mafiaLobbyButtons(game) {
+  const players = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`mafia:join:${game.id}`).setLabel("Join").setStyle(ButtonStyle.Success),
+    new ButtonBuilder().setCustomId(`mafia:leave:${game.id}`).setLabel("Leave").setStyle(ButtonStyle.Secondary)
+  );
+  if (game.settings.readyCheck) {
+    players.addComponents(new ButtonBuilder().setCustomId(`mafia:ready:${game.id}`).setLabel("Ready / Not ready").setStyle(ButtonStyle.Success));
+  }
   return [
+    players,
     new ActionRowBuilder().addComponents(
-      new ButtonBuilder().setCustomId(`mafia:join:${hostId}`).setLabel("Join").setStyle(ButtonStyle.Success),
-      new ButtonBuilder().setCustomId(`mafia:leave:${hostId}`).setLabel("Leave").setStyle(ButtonStyle.Secondary),
-      new ButtonBuilder().setCustomId(`mafia:startnow:${hostId}`).setLabel("Start now").setStyle(ButtonStyle.Primary),
-      new ButtonBuilder().setCustomId(`mafia:cancel:${hostId}`).setLabel("Cancel").setStyle(ButtonStyle.Danger)
+      new ButtonBuilder().setCustomId(`mafia:startnow:${game.id}`).setLabel("Start now").setStyle(ButtonStyle.Primary),
+      new ButtonBuilder().setCustomId(`mafia:kick:${game.id}`).setLabel("Kick").setStyle(ButtonStyle.Secondary),
+      new ButtonBuilder().setCustomId(`mafia:settings:${game.id}`).setLabel("Settings").setStyle(ButtonStyle.Secondary),
+      new ButtonBuilder().setCustomId(`mafia:cancel:${game.id}`).setLabel("Cancel").setStyle(ButtonStyle.Danger)
     )
   ];
 }
-function mafiaMainButtons(guildId) {
+// scope: a lobby's game ID edits that lobby's rules, "guild" edits the server defaults
+function mafiaSettingsView(settings, scope) {
+  const title = scope === "guild" ? "🕯️ **Mafia defaults** (used by new lobbies)" : "🕯️ **Lobby rules**";
+  return {
+    content: `${title}\n${mafiaSettingsText(settings)}`,
+    components: [
+      new ActionRowBuilder().addComponents(
+        new ButtonBuilder().setCustomId(`mafiaset:${scope}:timers`).setLabel("Timers").setStyle(ButtonStyle.Primary),
+        new ButtonBuilder().setCustomId(`mafiaset:${scope}:players`).setLabel("Players").setStyle(ButtonStyle.Primary),
+        new ButtonBuilder().setCustomId(`mafiaset:${scope}:roles`).setLabel("Roles").setStyle(ButtonStyle.Primary),
+        new ButtonBuilder().setCustomId(`mafiaset:${scope}:specials`).setLabel("Special roles").setStyle(ButtonStyle.Primary)
+      ),
+      new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+          .setCustomId(`mafiaset:${scope}:revealOnDeath`)
+          .setLabel(`Reveal on death: ${settings.revealOnDeath ? "on" : "off"}`)
+          .setStyle(settings.revealOnDeath ? ButtonStyle.Success : ButtonStyle.Secondary),
+        new ButtonBuilder()
+          .setCustomId(`mafiaset:${scope}:medicSelfSave`)
+          .setLabel(`Medic self-save: ${settings.medicSelfSave ? "on" : "off"}`)
+          .setStyle(settings.medicSelfSave ? ButtonStyle.Success : ButtonStyle.Secondary),
+        new ButtonBuilder()
+          .setCustomId(`mafiaset:${scope}:anonymousVotes`)
+          .setLabel(`Votes: ${settings.anonymousVotes ? "anonymous" : "named"}`)
+          .setStyle(ButtonStyle.Secondary),
+        new ButtonBuilder()
+          .setCustomId(`mafiaset:${scope}:tieRunoff`)
+          .setLabel(`Ties: ${settings.tieRunoff ? "runoff" : "no lynch"}`)
+          .setStyle(ButtonStyle.Secondary),
+        new ButtonBuilder()
+          .setCustomId(`mafiaset:${scope}:readyCheck`)
+          .setLabel(`Ready check: ${settings.readyCheck ? "on" : "off"}`)
+          .setStyle(settings.readyCheck ? ButtonStyle.Success : ButtonStyle.Secondary)
+      )
+    ],
+    allowedMentions: { parse: [] }
+  };
+}
+function mafiaMainButtons(gameId) {
   return [
     new ActionRowBuilder().addComponents(
-      new ButtonBuilder().setCustomId(`mafia:reveal:${guildId}`).setLabel("Reveal Role (secret)").setStyle(ButtonStyle.Secondary),
-      new ButtonBuilder().setCustomId(`mafia:action:${guildId}`).setLabel("Night Action / Vote (secret)").setStyle(ButtonStyle.Primary)
+      new ButtonBuilder().setCustomId(`mafia:reveal:${gameId}`).setLabel("Reveal Role (secret)").setStyle(ButtonStyle.Secondary),
+      new ButtonBuilder().setCustomId(`mafia:action:${gameId}`).setLabel("Night Action / Vote (secret)").setStyle(ButtonStyle.Primary)
     )
   ];
 }
@@ -533,6 +1822,56 @@ function buildSlashCommands() {
 
   cmds.push(new SlashCommandBuilder().setName("balance").setDescription("Show your balance"));
 
+  cmds.push(
+    new SlashCommandBuilder()
+      .setName("pay")
+      .setDescription("Give some of your coins to another member")
+      .addUserOption((o) => o.setName("user").setDescription("Who to pay").setRequired(true))
+      .addIntegerOption((o) => o.setName("amount").setDescription("Coins").setRequired(true).setMinValue(1))
+  );
+  cmds.push(
+    new SlashCommandBuilder()
+      .setName("leaderboard")
+      .setDescription("Server leaderboards")
+      .addStringOption((o) =>
+        o
+          .setName("category")
+          .setDescription("What to rank by")
+          .setRequired(true)
+          .addChoices(...Object.keys(LEADERBOARD_CATEGORIES).map((c) => ({ name: c, value: c })))
+      )
+      .addIntegerOption((o) => o.setName("page").setDescription("Page number").setRequired(false).setMinValue(1))
+  );
+  cmds.push(new SlashCommandBuilder().setName("guard").setDescription("Hire a guard to protect your purse from pickpockets"));
+  cmds.push(
+    new SlashCommandBuilder()
+      .setName("transactions")
+      .setDescription("Page through coin history (admins can view anyone)")
+      .addUserOption((o) => o.setName("user").setDescription("User (admin only, default you)").setRequired(false))
+      .addIntegerOption((o) => o.setName("page").setDescription("Page number").setRequired(false).setMinValue(1))
+  );
+
+  // Role tokens
+  cmds.push(
+    new SlashCommandBuilder()
+      .setName("tokens")
+      .setDescription("Buy and open role tokens")
+      .addSubcommand((s) => s.setName("inventory").setDescription("Show your unopened tokens"))
+      .addSubcommand((s) =>
+        s
+          .setName("buy")
+          .setDescription("Buy tokens with coins")
+          .addStringOption((o) => o.setName("rarity").setDescription("Rarity").setRequired(true).addChoices(...rarityChoices))
+          .addIntegerOption((o) => o.setName("amount").setDescription("How many (default 1)").setRequired(false).setMinValue(1).setMaxValue(100))
+      )
+      .addSubcommand((s) =>
+        s
+          .setName("open")
+          .setDescription("Open a token to win a random role")
+          .addStringOption((o) => o.setName("rarity").setDescription("Rarity").setRequired(true).addChoices(...rarityChoices))
+      )
+  );
+
   // Birthdays
   cmds.push(
     new SlashCommandBuilder()
@@ -544,19 +1883,78 @@ function buildSlashCommands() {
           .setDescription("Set your birthday")
           .addIntegerOption((o) => o.setName("day").setDescription("Day (1-31)").setRequired(true).setMinValue(1).setMaxValue(31))
           .addIntegerOption((o) => o.setName("month").setDescription("Month (1-12)").setRequired(true).setMinValue(1).setMaxValue(12))
-          .addIntegerOption((o) => o.setName("year").setDescription("Year (optional)").setRequired(false).setMinValue(1900).setMaxValue(2100))
+          .addIntegerOption((o) => o.setName("year").setDescription("Year (optional)").setRequired(false).setMinValue(1900))
+          .addStringOption((o) => o.setName("timezone").setDescription("Your timezone, e.g. America/New_York (optional)").setRequired(false))
       )
       .addSubcommand((s) => s.setName("view").setDescription("View your saved birthday"))
       .addSubcommand((s) => s.setName("clear").setDescription("Clear your saved birthday"))
+      .addSubcommand((s) =>
+        s
+          .setName("upcoming")
+          .setDescription("List the next birthdays in this server")
+          .addIntegerOption((o) => o.setName("days").setDescription("How far ahead (default 30)").setRequired(false).setMinValue(1).setMaxValue(366))
+      )
+      .addSubcommand((s) =>
+        s
+          .setName("month")
+          .setDescription("Show a month's birthday calendar")
+          .addIntegerOption((o) => o.setName("month").setDescription("Month (1-12)").setRequired(true).setMinValue(1).setMaxValue(12))
+      )
+      .addSubcommand((s) =>
+        s
+          .setName("import")
+          .setDescription("ADMIN: import birthdays from a CSV or JSON file")
+          .addAttachmentOption((o) => o.setName("file").setDescription("Rows of: user ID, day, month, year (optional), timezone (optional)").setRequired(true))
+          .addBooleanOption((o) => o.setName("dryrun").setDescription("Only preview, don't save (default True)").setRequired(false))
+      )
+      .addSubcommand((s) => s.setName("export").setDescription("ADMIN: download this server's birthdays as JSON"))
   );
 
   // Admin birthdays
   cmds.push(
     new SlashCommandBuilder()
       .setName("setbirthdaymsg")
-      .setDescription("ADMIN: set birthday message template (use {user} and optional {age})")
+      .setDescription("ADMIN: set birthday message template (use {user}, optional {age} and {gift})")
       .addStringOption((o) => o.setName("text").setDescription("Template").setRequired(true))
   );
+  cmds.push(
+    new SlashCommandBuilder()
+      .setName("setbirthdayhour")
+      .setDescription("ADMIN: set the local hour birthdays are announced (and the default timezone)")
+      .addIntegerOption((o) => o.setName("hour").setDescription("Hour (0-23) in each member's timezone").setRequired(true).setMinValue(0).setMaxValue(23))
+      .addStringOption((o) => o.setName("timezone").setDescription("Default timezone for members without one, e.g. Europe/London").setRequired(false))
+  );
+  cmds.push(
+    new SlashCommandBuilder()
+      .setName("setbirthdayrole")
+      .setDescription("ADMIN: set the role members get for their birthday (leave empty to turn off)")
+      .addRoleOption((o) => o.setName("role").setDescription("Birthday role").setRequired(false))
+  );
+  cmds.push(
+    new SlashCommandBuilder()
+      .setName("setbirthdaygift")
+      .setDescription("ADMIN: set the coins and XP members get on their birthday (0 to turn off)")
+      .addIntegerOption((o) => o.setName("coins").setDescription("Coins").setRequired(true).setMinValue(0).setMaxValue(1000000))
+      .addIntegerOption((o) => o.setName("xp").setDescription("XP").setRequired(false).setMinValue(0).setMaxValue(1000000))
+  );
+  cmds.push(
+    new SlashCommandBuilder()
+      .setName("setbirthdayleapday")
+      .setDescription("ADMIN: when 29 February birthdays are celebrated in common years")
+      .addStringOption((o) =>
+        o
+          .setName("day")
+          .setDescription("Day to celebrate on")
+          .setRequired(true)
+          .addChoices({ name: "28 February", value: "feb28" }, { name: "1 March", value: "mar1" })
+      )
+  );
+  cmds.push(
+    new SlashCommandBuilder()
+      .setName("setbirthdayboard")
+      .setDescription("ADMIN: keep a pinned birthday board in the birthday channel")
+      .addBooleanOption((o) => o.setName("enabled").setDescription("Show the board").setRequired(true))
+  );
   cmds.push(
     new SlashCommandBuilder()
       .setName("setbirthdaychannel")
@@ -570,6 +1968,51 @@ function buildSlashCommands() {
       )
   );
 
+  // Admin level-ups
+  cmds.push(
+    new SlashCommandBuilder()
+      .setName("levelconfig")
+      .setDescription("ADMIN: level-up announcements and reward roles")
+      .addSubcommand((s) => s.setName("view").setDescription("Show level-up settings"))
+      .addSubcommand((s) =>
+        s
+          .setName("channel")
+          .setDescription("Set the level-up announcement channel")
+          .addChannelOption((o) =>
+            o
+              .setName("channel")
+              .setDescription("Channel")
+              .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)
+              .setRequired(true)
+          )
+      )
+      .addSubcommand((s) =>
+        s
+          .setName("message")
+          .setDescription("Set the announcement template (use {user} and {level})")
+          .addStringOption((o) => o.setName("text").setDescription("Template").setRequired(true))
+      )
+      .addSubcommand((s) =>
+        s
+          .setName("reward")
+          .setDescription("Give a role when members reach a level")
+          .addIntegerOption((o) => o.setName("level").setDescription("Level").setRequired(true).setMinValue(1))
+          .addRoleOption((o) => o.setName("role").setDescription("Role to give").setRequired(true))
+      )
+      .addSubcommand((s) =>
+        s
+          .setName("unreward")
+          .setDescription("Remove the reward role for a level")
+          .addIntegerOption((o) => o.setName("level").setDescription("Level").setRequired(true).setMinValue(1))
+      )
+      .addSubcommand((s) =>
+        s
+          .setName("stacking")
+          .setDescription("Keep all earned reward roles, or only the highest")
+          .addBooleanOption((o) => o.setName("stack").setDescription("true = stack, false = replace").setRequired(true))
+      )
+  );
+
   // Admin cooldowns
   cmds.push(
     new SlashCommandBuilder()
@@ -620,6 +2063,8 @@ function buildSlashCommands() {
   // Admin panels
    cmds.push(new SlashCommandBuilder().setName("rolepanel").setDescription("ADMIN: post Role panel in log channel"));
   cmds.push(new SlashCommandBuilder().setName("economypanel").setDescription("ADMIN: post Economy panel in log channel"));
+  cmds.push(new SlashCommandBuilder().setName("tokenpanel").setDescription("ADMIN: post Token panel in log channel"));
+  cmds.push(new SlashCommandBuilder().setName("funconfig").setDescription("ADMIN: post Fun command config panel in log channel"));
 
   // Mafia
   cmds.push(
@@ -628,6 +2073,17 @@ function buildSlashCommands() {
       .setDescription("Mafia game")
       .addSubcommand((s) => s.setName("start").setDescription("Start a Mafia lobby"))
       .addSubcommand((s) => s.setName("stop").setDescription("Stop current Mafia lobby/game (host/admin)"))
+      .addSubcommand((s) => s.setName("settings").setDescription("ADMIN: post Mafia default rules panel in log channel"))
+      .addSubcommand((s) =>
+        s.setName("stats")
+          .setDescription("Show Mafia stats")
+          .addUserOption((o) => o.setName("user").setDescription("Member (default: you)").setRequired(false))
+      )
+      .addSubcommand((s) =>
+        s.setName("history")
+          .setDescription("Show finished Mafia games")
+          .addIntegerOption((o) => o.setName("page").setDescription("Page number").setRequired(false).setMinValue(1))
+      )
   );
 
   // Fun
@@ -642,11 +2098,51 @@ function buildSlashCommands() {
   fun.addSubcommand((s) => withUser(s, "pickpocket", "Attempt to pickpocket someone"));
   fun.addSubcommand((s) => withUser(s, "slap", "Slap someone in the square"));
   fun.addSubcommand((s) => withUser(s, "punch", "Punch someone in the square"));
-  fun.addSubcommand((s) => withUser(s, "duel", "Challenge someone to a duel"));
+  fun.addSubcommand((s) =>
+    withUser(s, "duel", "Challenge someone to a duel").addIntegerOption((o) =>
+      o.setName("wager").setDescription("Coins each side puts in the pot (default 0)").setRequired(false).setMinValue(0)
+    )
+  );
   fun.addSubcommand((s) => withUser(s, "praise", "Praise someone nobly"));
   fun.addSubcommand((s) => withUser(s, "insult", "Insult someone publicly"));
+
+  // Admin-defined actions for the registered guild
+  for (const name of customCommandNames(GUILD_ID_FOR_SLASH)) {
+    const c = data[GUILD_ID_FOR_SLASH].custom.commands[name];
+    fun.addSubcommand((s) =>
+      s
+        .setName(name)
+        .setDescription(c.template.slice(0, 100))
+        .addUserOption((o) => o.setName("target").setDescription("Target").setRequired(!!c.requiresTarget))
+    );
+  }
   cmds.push(fun);
 
+  cmds.push(
+    new SlashCommandBuilder()
+      .setName("customcmd")
+      .setDescription("ADMIN: manage custom roleplay commands")
+      .addSubcommand((s) =>
+        s
+          .setName("create")
+          .setDescription("Create or update a custom command")
+          .addStringOption((o) => o.setName("name").setDescription("Command name, e.g. hug").setRequired(true).setMaxLength(32))
+          .addStringOption((o) => o.setName("template").setDescription("Message; use {user}, {target}, {coins}").setRequired(true).setMaxLength(1000))
+          .addBooleanOption((o) => o.setName("requires_target").setDescription("Must mention someone (default: if template has {target})").setRequired(false))
+          .addIntegerOption((o) => o.setName("coins_min").setDescription("Coins min (default 0)").setRequired(false).setMinValue(0))
+          .addIntegerOption((o) => o.setName("coins_max").setDescription("Coins max (default = min)").setRequired(false).setMinValue(0))
+          .addIntegerOption((o) => o.setName("cooldown").setDescription("Cooldown in seconds (default 15)").setRequired(false).setMinValue(0))
+          .addRoleOption((o) => o.setName("role").setDescription("Only members with this role can use it").setRequired(false))
+      )
+      .addSubcommand((s) =>
+        s
+          .setName("delete")
+          .setDescription("Delete a custom command")
+          .addStringOption((o) => o.setName("name").setDescription("Command name").setRequired(true))
+      )
+      .addSubcommand((s) => s.setName("list").setDescription("List custom commands"))
+  );
+
   return cmds.map((c) => c.toJSON());
 }
 
@@ -673,6 +2169,9 @@ client.once(Events.ClientReady, async () => {
 
   setInterval(() => runBirthdayCheck(client).catch(() => {}), 10 * 60 * 1000);
   runBirthdayCheck(client).catch(() => {});
+
+  restoreDuelTimers();
+  await restoreMafiaGames(client).catch((e) => console.log("⚠️ Mafia restore failed:", e?.message || e));
 });
 
 /* ================= JOIN: JOIN ROLE + FREE TOKEN ================= */
@@ -750,8 +2249,9 @@ client.on("voiceStateUpdate", (oldState, newState) => {
 
     const mins = Math.floor(ms / 60000);
     if (mins > 0) {
+      u.voiceMinutes += mins;
       const eco = data[guildId].eco;
-      addRewards(guildId, member.id, mins * eco.vcCoinsPerMin, mins * eco.vcXpPerMin);
+      addRewards(guildId, member.id, mins * eco.vcCoinsPerMin, mins * eco.vcXpPerMin, "voice");
     }
     scheduleSave();
   }
@@ -773,19 +2273,26 @@ client.on("messageReactionAdd", async (reaction, user) => {
   if ((now - u.lastReactReward) / 1000 < eco.reactRewardCooldownSec) return;
   u.lastReactReward = now;
 
-  addRewards(guildId, user.id, eco.reactCoins, eco.reactXp);
+  addRewards(guildId, user.id, eco.reactCoins, eco.reactXp, "reaction");
 });
 
 /* ================= Mafia lobby helpers ================= */
 function mafiaLobbyContent(game, guild) {
   const count = game.players.size;
+  const check = game.settings.readyCheck;
+  const list = [...game.players]
+    .map((id) => `${check ? (game.ready.has(id) ? "✅ " : "⏳ ") : ""}<@${id}>${id === game.hostId ? " 👑" : ""}`)
+    .join(", ");
+  const countdown = game.countdown && game.phaseEndsAt ? `\n⏱️ Starting automatically <t:${Math.floor(game.phaseEndsAt / 1000)}:R>.` : "";
   return `🕯️ **Mafia lobby started**
 Host: <@${game.hostId}>
-Players joined: **${count}**
-Press **Join** to play. Host presses **Start now**.`;
+Players joined: **${count}/${game.settings.maxPlayers}** (need ${game.settings.minPlayers})${check ? ` · ready: **${game.ready.size}**` : ""}
+${list || "Nobody yet."}${countdown}
+${mafiaSettingsText(game.settings)}
+Press **Join** to play${check ? ", then **Ready**" : ""}. Host presses **Start now** (or **Settings** to change the rules, **Kick** to remove someone).`;
 }
-async function updateMafiaLobbyPanel(interactionOrGuild, guildId) {
-  const game = mafiaGames.get(guildId);
+async function updateMafiaLobbyPanel(interactionOrGuild, gameId) {
+  const game = mafiaGames.get(gameId);
   if (!game || game.phase !== "lobby") return;
 
   const guild = interactionOrGuild.guild || interactionOrGuild;
@@ -796,7 +2303,7 @@ async function updateMafiaLobbyPanel(interactionOrGuild, guildId) {
   if (msg && msg.edit) {
     await msg.edit({
       content: mafiaLobbyContent(game, guild),
-      components: mafiaLobbyButtons(game.hostId),
+      components: mafiaLobbyButtons(game),
       allowedMentions: { parse: [] }
     }).catch(() => {});
     return;
@@ -810,187 +2317,394 @@ async function updateMafiaLobbyPanel(interactionOrGuild, guildId) {
     if (!m) return;
     await m.edit({
       content: mafiaLobbyContent(game, guild),
-      components: mafiaLobbyButtons(game.hostId),
+      components: mafiaLobbyButtons(game),
       allowedMentions: { parse: [] }
     }).catch(() => {});
   }
 }
 
-/* ================= Mafia game flow ================= */
-async function startMafiaGame(guild, channelId) {
-  const guildId = guild.id;
-  const game = mafiaGames.get(guildId);
-  if (!game) return;
-
-  const channel = guild.channels.cache.get(channelId);
-  if (!channel) return;
+/** Replaces the lobby panel with a closing note once the lobby is gone (game started or everyone left). */
+async function closeMafiaLobbyPanel(guild, game, content) {
+  if (!game.lobbyMessageId) return;
+  const m = await guild.channels.cache.get(game.channelId)?.messages.fetch(game.lobbyMessageId).catch(() => null);
+  await m?.edit({ content, components: [], allowedMentions: { parse: [] } }).catch(() => {});
+}
 
-  const players = [...game.players];
-  if (players.length < 5) {
-    await channel.send({ content: "Not enough players (need 5+). Game ended.", allowedMentions: { parse: [] } });
-    mafiaGames.delete(guildId);
-    return;
+/** Resolves which rules a settings button/modal edits and whether this user may edit them. */
+function mafiaSettingsTarget(interaction, scope) {
+  const guildId = interaction.guildId;
+  if (scope === "guild") {
+    if (!isAdminMember(interaction.memberPermissions)) return { error: "Admins only." };
+    ensureGuild(guildId);
+    return { settings: data[guildId].mafia.defaults };
   }
+  const game = mafiaGames.get(scope);
+  if (!game || game.phase !== "lobby") return { error: "No open Mafia lobby." };
+  if (interaction.user.id !== game.hostId) return { error: "Only the host can change the rules." };
+  return { settings: game.settings, game };
+}
 
-  game.phase = "setup";
-  game.roles = new Map();
-  game.living = new Set(players);
-
-  const counts = mafiaRoleCounts(players.length);
-  const pool = [];
-  for (let i = 0; i < counts.mafia; i++) pool.push("mafia");
-  for (let i = 0; i < counts.medic; i++) pool.push("medic");
-  for (let i = 0; i < counts.detective; i++) pool.push("detective");
-  for (let i = 0; i < counts.villager; i++) pool.push("villager");
-
-  shuffle(pool);
-  shuffle(players);
-
-  for (let i = 0; i < players.length; i++) {
-    game.roles.set(players[i], pool[i] || "villager");
-  }
+/** Validates and applies new rules, persists them and logs the diff. Returns an error message or "". */
+async function applyMafiaSettings(interaction, scope, target, next) {
+  // Lobby rules go through the engine, which also re-evaluates the auto-start countdown
+  if (target.game) return dispatchMafia(interaction.guild, target.game.id, { type: "configure", settings: next });
 
-  await channel.send({
-    content:
-      `🕯️ **Mafia has begun** with **${players.length}** players.\n` +
-      `Roles: Mafia ${counts.mafia}, Medic ${counts.medic}, Detective ${counts.detective}, Villagers ${counts.villager}.\n` +
-      `Click **Reveal Role (secret)** to see your role (only you can see it).`,
-    components: mafiaMainButtons(guildId),
-    allowedMentions: { parse: [] }
-  });
+  const err = validateMafiaSettings(next);
+  if (err) return err;
+  const changes = Object.keys(next)
+    .filter((k) => target.settings[k] !== next[k])
+    .map((k) => `${k}: ${target.settings[k]} → ${next[k]}`);
+  Object.assign(target.settings, next);
 
-  game.round = 0;
-  await mafiaNight(guild);
+  scheduleSave();
+  if (changes.length) await adminLog(interaction.guild, `🕯️ Mafia defaults updated: ${changes.join(", ")}.`);
+  return "";
 }
 
-async function mafiaNight(guild) {
-  const guildId = guild.id;
-  const game = mafiaGames.get(guildId);
-  if (!game) return;
+/* ================= Mafia threads & channel lock ================= */
+/** Private thread where the mafia team agrees on a target, plus a graveyard thread for the dead. */
+async function openMafiaThreads(guild, game, channel) {
+  game.mafiaThreadId = "";
+  game.graveyardThreadId = "";
+  if (!channel.threads) return;
 
-  game.round += 1;
-  game.phase = "night";
-  game.nightKills = new Map();
-  game.nightSave = null;
-  game.nightInvestigations = new Map();
-  game.dayVotes = new Map();
-
-  const channel = guild.channels.cache.get(game.channelId);
-  if (channel) {
-    await channel.send({
-      content: `🌙 **Night ${game.round}** has fallen. Use **Night Action / Vote (secret)** to act (only you can see your menu).`,
-      components: mafiaMainButtons(guildId),
+  const mafiaThread = await channel.threads
+    .create({ name: "🕯️ mafia-den", type: ChannelType.PrivateThread, invitable: false, reason: "Mafia team chat" })
+    .catch(() => null);
+  if (mafiaThread) {
+    game.mafiaThreadId = mafiaThread.id;
+    const team = mafiaTeamIds(game);
+    for (const id of team) await mafiaThread.members.add(id).catch(() => {});
+    await mafiaThread.send({
+      content:
+        `🔪 **Mafia den** — only your team can see this.\n` +
+        `Team: ${team.map((id) => `<@${id}> (${game.roles.get(id)})`).join(", ")}\n` +
+        `Agree on a target here each night, then everyone submits it with **Night Action / Vote (secret)**.`,
       allowedMentions: { parse: [] }
-    });
+    }).catch(() => {});
   }
 
-  setTimeout(() => resolveNight(guild).catch(() => {}), 60000);
+  const graveyard = await channel.threads
+    .create({ name: "🪦 graveyard", type: ChannelType.PrivateThread, invitable: false, reason: "Mafia dead-player chat" })
+    .catch(() => null);
+  if (graveyard) {
+    game.graveyardThreadId = graveyard.id;
+    await graveyard.send({ content: "🪦 Eliminated players end up here. No spoilers in the main channel!", allowedMentions: { parse: [] } }).catch(() => {});
+  }
+  saveMafiaGames();
 }
 
-async function resolveNight(guild) {
-  const guildId = guild.id;
-  const game = mafiaGames.get(guildId);
-  if (!game || game.phase !== "night") return;
+async function mafiaDenSend(guild, game, content) {
+  if (!game.mafiaThreadId) return;
+  const thread = await guild.channels.fetch(game.mafiaThreadId).catch(() => null);
+  await thread?.send({ content, allowedMentions: { parse: [] } }).catch(() => {});
+}
 
-  const tally = new Map();
-  for (const target of game.nightKills.values()) tally.set(target, (tally.get(target) || 0) + 1);
+/** Moves freshly eliminated players out of the mafia den, into the graveyard, and mutes them in the main channel. */
+async function mafiaPlayersDied(guild, game, ids) {
+  const mafiaThread = game.mafiaThreadId ? await guild.channels.fetch(game.mafiaThreadId).catch(() => null) : null;
+  const graveyard = game.graveyardThreadId ? await guild.channels.fetch(game.graveyardThreadId).catch(() => null) : null;
+  const channel = guild.channels.cache.get(game.channelId);
 
-  let killTarget = null;
-  let best = 0;
-  for (const [t, c] of tally.entries()) {
-    if (c > best) { best = c; killTarget = t; }
+  for (const id of ids) {
+    if (mafiaThread && mafiaRole(game.roles.get(id)).team === "mafia") await mafiaThread.members.remove(id).catch(() => {});
+    if (graveyard) {
+      await graveyard.members.add(id).catch(() => {});
+      await graveyard.send({ content: `🪦 <@${id}> joins the graveyard (${game.roles.get(id)}).`, allowedMentions: { parse: [] } }).catch(() => {});
+    }
+    await setMafiaSendLock(channel, id, true, "Mafia: eliminated");
   }
+}
 
-  let eliminated = null;
-  if (killTarget && game.living.has(killTarget) && game.nightSave !== killTarget) {
-    game.living.delete(killTarget);
-    eliminated = killTarget;
-  }
+/** Denies (or restores) SendMessages for one member, dropping the overwrite again once it is empty. */
+async function setMafiaSendLock(channel, userId, locked, reason) {
+  if (!channel?.permissionOverwrites) return;
+  await channel.permissionOverwrites.edit(userId, { SendMessages: locked ? false : null }, { reason }).catch(() => {});
+  const ow = channel.permissionOverwrites.cache.get(userId);
+  if (!locked && ow && !ow.allow.bitfield && !ow.deny.bitfield) await ow.delete(reason).catch(() => {});
+}
 
+/** At night living players can't post in the main channel; by day they can again. The dead stay muted. */
+async function lockMafiaChannel(guild, game, night) {
   const channel = guild.channels.cache.get(game.channelId);
-  if (channel) {
-    await channel.send({
-      content: eliminated
-        ? `🌅 Dawn breaks. Someone has been eliminated: **${eliminated}**`
-        : `🌅 Dawn breaks. Nobody was eliminated last night.`,
-      allowedMentions: { parse: [] }
-    });
-  }
+  for (const id of game.living) await setMafiaSendLock(channel, id, night, night ? "Mafia: night" : "Mafia: day");
+}
 
-  const win = mafiaWinCheck(game);
-  if (win) return endMafiaGame(guild, win);
+/** Deletes the game's threads and removes every player's channel overwrite. */
+async function cleanupMafiaChannels(guild, game) {
+  for (const threadId of [game.mafiaThreadId, game.graveyardThreadId]) {
+    if (!threadId) continue;
+    const thread = await guild.channels.fetch(threadId).catch(() => null);
+    await thread?.delete("Mafia game over").catch(() => {});
+  }
 
-  await mafiaDay(guild);
+  if (!game.roles) return; // never started, so nothing was locked
+  const channel = guild.channels.cache.get(game.channelId);
+  for (const id of game.players) await setMafiaSendLock(channel, id, false, "Mafia game over");
 }
 
-async function mafiaDay(guild) {
-  const guildId = guild.id;
-  const game = mafiaGames.get(guildId);
-  if (!game) return;
-
-  game.phase = "day";
-  game.dayVotes = new Map();
+/* ================= Mafia game flow ================= */
+// The rules live in mafia-engine.js: this layer feeds it actions, runs the phase timers and renders its events.
 
-  const channel = guild.channels.cache.get(game.channelId);
-  if (channel) {
-    await channel.send({
-      content: `☀️ **Day ${game.round}** — discuss, then use **Night Action / Vote (secret)** to cast your vote (secret).`,
-      components: mafiaMainButtons(guildId),
-      allowedMentions: { parse: [] }
-    });
+/**
+ * Applies one engine action to a game, saves it, (re)arms the phase timer and renders the resulting events.
+ * In-between phases (setup, dawn, dusk) are advanced as soon as they have been shown.
+ * Returns the engine's error message, or "" when the action went through.
+ */
+async function dispatchMafia(guild, gameId, action, interaction = null) {
+  const game = mafiaGames.get(gameId);
+  if (!game) return "No active game.";
+  // The engine changes state synchronously, so a timer and a last click resolving the same phase can't both win
+  const { error, events } = mafiaStep(game, action);
+  if (error) return error;
+
+  // Timers (re)start with a new phase, a runoff or the lobby countdown, and stop when the phase has none
+  if (!mafiaPhaseSeconds(game)) clearMafiaTimers(gameId);
+  else if (events.some((e) => ["night", "day", "runoff", "countdown"].includes(e.type))) {
+    scheduleMafiaPhase(guild, gameId, mafiaPhaseSeconds(game) * 1000);
   }
+  saveMafiaGames();
 
-  setTimeout(() => resolveDayVote(guild).catch(() => {}), 60000);
+  for (const event of events) await renderMafiaEvent(guild, game, event, interaction);
+  if (["setup", "dawn", "dusk"].includes(game.phase) && mafiaGames.has(gameId)) {
+    return dispatchMafia(guild, gameId, { type: "advance" });
+  }
+  return "";
 }
 
-async function resolveDayVote(guild) {
-  const guildId = guild.id;
-  const game = mafiaGames.get(guildId);
-  if (!game || game.phase !== "day") return;
+/** Shows one engine event in Discord: messages, replies to the acting player, threads and channel locks. */
+async function renderMafiaEvent(guild, game, event, interaction) {
+  const channel = guild.channels.cache.get(game.channelId);
+  const send = (content, components) => channel?.send({ content, components, allowedMentions: { parse: [] } });
+
+  switch (event.type) {
+    // Lobby: acknowledge first (a full lobby starts right after this event), then refresh the panel
+    case "joined":
+    case "ready":
+      if (interaction) await iNotice(interaction, event.type === "joined" ? "✅ Joined." : event.ready ? "✅ Ready." : "⏳ Not ready.");
+      return updateMafiaLobbyPanel(interaction || guild, game.id);
+
+    case "kicked":
+      // The host's kick menu is an ephemeral message, so the panel is found by its message ID
+      await interaction?.update({ content: `✅ Removed <@${event.userId}> from the lobby.`, components: [] });
+      return updateMafiaLobbyPanel(guild, game.id);
+
+    case "configured":
+    case "countdown":
+    case "countdownStopped":
+      return updateMafiaLobbyPanel(guild, game.id);
+
+    case "left":
+      if (interaction) await iNotice(interaction, "✅ Left.");
+      if (!game.players.size) {
+        deleteMafiaGame(game.id);
+        return closeMafiaLobbyPanel(guild, game, "❌ Mafia lobby closed — everyone left.");
+      }
+      await updateMafiaLobbyPanel(interaction || guild, game.id);
+      if (event.newHostId) return send(`👑 <@${event.newHostId}> is now the host of the Mafia lobby.`);
+      return;
 
-  const tally = new Map();
-  for (const target of game.dayVotes.values()) tally.set(target, (tally.get(target) || 0) + 1);
+    case "started":
+      await closeMafiaLobbyPanel(guild, game, "🕯️ Mafia lobby closed — the game has started.");
+      await openMafiaThreads(guild, game, channel);
+      return send(
+        `🕯️ **Mafia has begun** with **${event.players}** players.\n` +
+          `Roles: ${mafiaCountsText(event.counts)}.\n` +
+          (event.benched.length ? `Not ready, so sitting this one out: ${event.benched.map((id) => `<@${id}>`).join(", ")}.\n` : "") +
+          `Click **Reveal Role (secret)** to see your role (only you can see it).`,
+        mafiaMainButtons(game.id)
+      );
+
+    case "night":
+      await lockMafiaChannel(guild, game, true);
+      await mafiaDenSend(guild, game, `🌙 **Night ${event.round}** — agree on tonight's target, then submit it with **Night Action / Vote (secret)**.`);
+      return send(`🌙 **Night ${event.round}** has fallen. Use **Night Action / Vote (secret)** to act (only you can see your menu).`, mafiaMainButtons(game.id));
+
+    case "nightAction":
+      if (event.action === "invest") {
+        return interaction?.reply({ content: `🕵️ Investigation: **${event.hit ? "MAFIA" : "NOT MAFIA"}**`, ephemeral: true });
+      }
+      await interaction?.reply({ content: event.skipped ? "✅ Holding fire tonight." : "✅ Selected.", ephemeral: true });
+      // Let the rest of the team see the pick so they can converge on one target
+      if (event.action === "kill") await mafiaDenSend(guild, game, `🔪 <@${event.userId}> votes to eliminate <@${event.targetId}>.`);
+      return;
+
+    case "dawn":
+      await send(
+        event.eliminated.length
+          ? `🌅 Dawn breaks. Eliminated last night: ${event.eliminated.map((id) => `<@${id}>${mafiaDeathNote(game, id)}`).join(", ")}`
+          : `🌅 Dawn breaks. Nobody was eliminated last night.`
+      );
+      if (event.afk.length) await send(mafiaAfkText(game, event.afk));
+      return mafiaPlayersDied(guild, game, [...event.eliminated, ...event.afk]);
+
+    case "day":
+      await lockMafiaChannel(guild, game, false);
+      return send(`☀️ **Day ${event.round}** — discuss, then use **Night Action / Vote (secret)** to cast your vote (secret).`, mafiaMainButtons(game.id));
+
+    case "vote":
+      return interaction?.reply({ content: event.skipped ? "✅ You voted to skip." : "✅ Selected.", ephemeral: true });
+
+    case "runoff":
+      await send(mafiaVoteTallyText(game, event.votes, event.voters));
+      return send(
+        `⚖️ Tie between ${event.candidates.map((id) => `<@${id}>`).join(" and ")} — **runoff vote**, ends <t:${Math.floor(game.phaseEndsAt / 1000)}:R>. Only they can be voted out.`,
+        mafiaMainButtons(game.id)
+      );
+
+    case "dusk": {
+      if (event.votes.size) await send(mafiaVoteTallyText(game, event.votes, event.voters));
+      const out = event.votedOut;
+      if (out) {
+        await send(`🗳️ The town voted out <@${out}>${mafiaDeathNote(game, out)}.`);
+        if (event.lynchWin) await send(`🃏 <@${out}> was the **${game.roles.get(out).toUpperCase()}** — and that's exactly what they wanted. They win!`);
+      } else {
+        const why = { tie: "The vote was tied", skip: "The town chose to skip", none: "Nobody voted" }[event.reason];
+        await send(`🗳️ ${why} — nobody was voted out.`);
+      }
+      if (event.afk.length) await send(mafiaAfkText(game, event.afk));
+      return mafiaPlayersDied(guild, game, [...(out ? [out] : []), ...event.afk]);
+    }
 
-  let votedOut = null;
-  let best = 0;
-  for (const [t, c] of tally.entries()) {
-    if (c > best) { best = c; votedOut = t; }
+    case "end":
+      return endMafiaGame(guild, game.id);
   }
+}
 
-  const channel = guild.channels.cache.get(game.channelId);
-  if (votedOut && game.living.has(votedOut)) {
-    game.living.delete(votedOut);
-    if (channel) await channel.send({ content: `🗳️ The town voted out: **${votedOut}**`, allowedMentions: { parse: [] } });
-  } else {
-    if (channel) await channel.send({ content: `🗳️ No clear vote — nobody was voted out.`, allowedMentions: { parse: [] } });
+/**
+ * Halfway reminder for players who haven't acted. By day the ping goes in the game channel and deletes
+ * itself; at night it's a DM so the channel doesn't reveal who has a night action.
+ */
+async function remindInactiveMafiaPlayers(guild, gameId) {
+  const game = mafiaGames.get(gameId);
+  if (!game || (game.phase !== "night" && game.phase !== "day")) return;
+  const pending = mafiaPendingActors(game);
+  if (!pending.length) return;
+  const ends = `<t:${Math.floor(game.phaseEndsAt / 1000)}:R>`;
+
+  if (game.phase === "day") {
+    const channel = guild.channels.cache.get(game.channelId);
+    const msg = await channel?.send({
+      content: `⏰ ${pending.map((id) => `<@${id}>`).join(" ")} — you haven't voted yet. Voting ends ${ends}.`,
+      allowedMentions: { users: pending }
+    }).catch(() => null);
+    if (msg) setTimeout(() => msg.delete().catch(() => {}), 15000);
+    return;
   }
 
-  const win = mafiaWinCheck(game);
-  if (win) return endMafiaGame(guild, win);
+  for (const id of pending) {
+    const member = await guild.members.fetch(id).catch(() => null);
+    await member?.send(`⏰ You haven't used your night action in **${guild.name}**'s Mafia game yet. Night ends ${ends}.`).catch(() => {});
+  }
+}
 
-  await mafiaNight(guild);
+function mafiaAfkText(game, ids) {
+  return `💤 Removed for missing ${game.settings.afkLimit} phases in a row: ${ids.map((id) => `<@${id}>${mafiaDeathNote(game, id)}`).join(", ")}`;
 }
 
-async function endMafiaGame(guild, winner) {
-  const guildId = guild.id;
-  const game = mafiaGames.get(guildId);
+/** Public vote breakdown: who voted for whom, or just the counts when votes are anonymous. */
+function mafiaVoteTallyText(game, votes, voters) {
+  const tally = new Map();
+  for (const t of votes.values()) tally.set(t, (tally.get(t) || 0) + 1);
+  const name = (t) => (t === MAFIA_SKIP_VOTE ? "skip" : `<@${t}>`);
+  const counts = [...tally.entries()]
+    .sort((x, y) => y[1] - x[1])
+    .map(([t, c]) => `${name(t)}: **${c}**`)
+    .join(" · ");
+  const lines = [`📊 **Vote tally** — ${counts || "no votes"}`];
+
+  if (!game.settings.anonymousVotes) {
+    for (const [voter, t] of votes.entries()) lines.push(`<@${voter}> → ${name(t)}`);
+    const silent = voters.filter((id) => !votes.has(id));
+    if (silent.length) lines.push(`Didn't vote: ${silent.map((id) => `<@${id}>`).join(", ")}`);
+  }
+  return lines.join("\n");
+}
+
+/** Announces the winner, pays out, records the match and tears the game down. */
+async function endMafiaGame(guild, gameId) {
+  const game = mafiaGames.get(gameId);
   if (!game) return;
+  const winner = game.winner;
 
   const channel = guild.channels.cache.get(game.channelId);
   if (channel) {
     await channel.send({
-      content: winner === "mafia" ? `🏴 Mafia wins!` : `🏳️ Town wins!`,
+      content: MAFIA_TEAMS[winner]?.banner || `🏁 Game over.`,
       allowedMentions: { parse: [] }
     });
   }
 
-  for (const [pid, role] of game.roles.entries()) {
-    const isMafia = role === "mafia";
-    const won = (winner === "mafia" && isMafia) || (winner === "town" && !isMafia);
-    addRewards(guildId, pid, won ? 30 : 10, won ? 60 : 20);
+  for (const pid of game.roles.keys()) {
+    const won = mafiaRoleWins(game, winner, pid);
+    addRewards(game.guildId, pid, won ? 30 : 10, won ? 60 : 20, "mafia");
+  }
+  recordMafiaResult(game.guildId, game, winner);
+
+  deleteMafiaGame(gameId);
+  await cleanupMafiaChannels(guild, game);
+}
+
+/** On startup: reload saved lobbies/games, reschedule phase timers and tell the channel. */
+async function restoreMafiaGames(client) {
+  const saved = loadMafiaGames();
+
+  for (const [key, game] of Object.entries(saved)) {
+    // Older saves were keyed by guild and had one game per guild
+    game.guildId ||= key;
+    game.id ||= key;
+    const gameId = game.id;
+    const guild = client.guilds.cache.get(game.guildId);
+    const channel = guild?.channels.cache.get(game.channelId);
+    if (!guild || !channel) continue;
+
+    // Games saved by older versions lack newer settings/state
+    game.settings = { ...MAFIA_DEFAULT_SETTINGS, ...game.settings };
+    game.rngState ??= mafiaSeed(game.id);
+    game.ready ||= new Set();
+    game.kicked ||= new Set();
+    if (game.roles) {
+      game.nightActions ||= new Map();
+      game.dayVotes ||= new Map();
+      game.shotsUsed ||= new Map();
+      game.lastTargets ||= new Map();
+      game.lynchWinners ||= new Set();
+      game.eliminations ||= [];
+      game.detectiveHits ||= new Map();
+    }
+    mafiaGames.set(gameId, game);
+    if (game.phase === "lobby") {
+      if (game.countdown) scheduleMafiaPhase(guild, gameId, Math.max(0, (game.phaseEndsAt || 0) - Date.now()));
+      continue;
+    }
+    if (game.phase === "setup" && !game.roles?.size) {
+      game.phase = "lobby";
+      continue;
+    }
+
+    // Interrupted between phases (or during setup): pick up where the flow would go next
+    if (game.phase === "ended") {
+      await endMafiaGame(guild, gameId);
+      continue;
+    }
+    if (["setup", "dawn", "dusk"].includes(game.phase)) {
+      await channel.send({ content: "♻️ The bot restarted — the Mafia game continues.", allowedMentions: { parse: [] } }).catch(() => {});
+      await dispatchMafia(guild, gameId, { type: "advance" });
+      continue;
+    }
+
+    const remaining = Math.max(0, (game.phaseEndsAt || 0) - Date.now());
+    const label = game.phase === "night" ? `Night ${game.round}` : `Day ${game.round}`;
+    await channel.send({
+      content: `♻️ The bot restarted — the Mafia game has resumed (**${label}**, ends <t:${Math.floor((Date.now() + remaining) / 1000)}:R>).`,
+      components: mafiaMainButtons(gameId),
+      allowedMentions: { parse: [] }
+    }).catch(() => {});
+    scheduleMafiaPhase(guild, gameId, remaining);
   }
 
-  mafiaGames.delete(guildId);
+  // Drop saved games for guilds/channels we could not restore
+  saveMafiaGames();
 }
 
 /* ================= INTERACTIONS ================= */
@@ -1009,10 +2723,11 @@ client.on("interactionCreate", async (interaction) => {
           .setColor(0x5865F2)
           .setTitle("📜 User Commands")
           .addFields(
-            { name: "💰 Economy", value: "`!balance` or `/balance` - View your coins and XP", inline: false },
+            { name: "💰 Economy", value: "`!balance` or `/balance` - View your coins and XP\n`!pay @user <amount>` or `/pay` - Give coins\n`!transactions` or `/transactions` - Your coin history\n`!leaderboard <category>` or `/leaderboard` - Server rankings", inline: false },
+            { name: "🎟️ Role Tokens", value: "`!tokens` or `/tokens inventory` - Your tokens\n`!tokens buy <rarity> [amount]` or `/tokens buy`\n`!tokens open <rarity>` or `/tokens open` - Win a random role", inline: false },
             { name: "🎂 Birthdays", value: "`!birthday` or `/birthday` - Manage your birthday", inline: false },
-            { name: "🎮 Mafia Game", value: "`!mafia start` or `/mafia start` - Start lobby\n`!mafia stop` or `/mafia stop` - Stop game", inline: false },
-            { name: "🎭 Fun Commands", value: "`!beg` or `/fun beg`\n`!pickpocket @user` or `/fun pickpocket`\n`!slap`, `!punch`, `!duel`, `!praise`, `!insult`", inline: false }
+            { name: "🎮 Mafia Game", value: "`!mafia start` or `/mafia start` - Start lobby\n`!mafia stop` or `/mafia stop` - Stop game\n`!mafia stats [@user]` or `/mafia stats` - Mafia stats\n`!mafia history` or `/mafia history` - Finished games", inline: false },
+            { name: "🎭 Fun Commands", value: "`!beg` or `/fun beg`\n`!pickpocket @user` or `/fun pickpocket`\n`!guard` or `/guard` - Hire a guard against pickpockets\n`!slap`, `!punch`, `!duel`, `!praise`, `!insult`", inline: false }
           )
           .setFooter({ text: "Use !admin-commands or /admin-commands for admin help" });
         return interaction.reply({ embeds: [embed], ephemeral: true });
@@ -1025,8 +2740,10 @@ client.on("interactionCreate", async (interaction) => {
           .setTitle("🔐 Admin Commands")
           .addFields(
             { name: "⏱️ Cooldown Management", value: "`!setcooldown <@role> <seconds> [#channel]`\n`!clearcooldown <@role>`\n`!ignorecooldown <#channel>`\n`!unignorecooldown <#channel>`\n`!ignoredchannels`", inline: false },
-            { name: "⚙️ Configuration Panels", value: "`/economypanel` - Economy settings\n`/rolepanel` - Role management", inline: false },
-            { name: "🎂 Birthday Settings", value: "`/setbirthdaymsg <text>`\n`/setbirthdaychannel <#channel>`", inline: false }
+            { name: "⚙️ Configuration Panels", value: "`/economypanel` - Economy settings\n`/rolepanel` - Role management\n`/tokenpanel` - Token prices & role weights\n`/funconfig` - Fun command settings\n`/mafia settings` - Mafia default rules\n`/customcmd create|delete|list` - Custom roleplay commands", inline: false },
+            { name: "🎂 Birthday Settings", value: "`/setbirthdaymsg <text>`\n`/setbirthdaychannel <#channel>`\n`/setbirthdayhour <hour> [timezone]`\n`/setbirthdayrole [role]`\n`/setbirthdaygift <coins> [xp]`\n`/setbirthdayboard <enabled>`\n`/setbirthdayleapday <day>`\n`/birthday import <file> [dryrun]`\n`/birthday export`", inline: false },
+            { name: "⬆️ Level-ups", value: "`/levelconfig view|channel|message|reward|unreward|stacking`", inline: false },
+            { name: "🧾 Coin Disputes", value: "`/transactions user:@user` - View any member's coin history", inline: false }
           )
           .setFooter({ text: "Slash commands available: /setcooldown, /economypanel, /rolepanel, etc." });
         return interaction.reply({ embeds: [embed], ephemeral: true });
@@ -1035,7 +2752,97 @@ client.on("interactionCreate", async (interaction) => {
       if (cmd === "balance") {
         ensureUser(guildId, interaction.user.id);
         const u = data[guildId].users[interaction.user.id];
-        return inotice(interaction, `👛 Coins: **${u.coins}** | XP: **${u.xp}** | Level: **${u.level}** | nPickpocket caught: **${u.pickpocketCaught}**`);
+        return iNotice(interaction, `👛 Coins: **${u.coins}** | XP: **${u.xp}** | Level: **${u.level}** | Duels: **${u.duelWins}W/${u.duelLosses}L** | \nPickpocket caught: **${u.pickpocketCaught}**`);
+      }
+
+      if (cmd === "pay") {
+        const target = interaction.options.getUser("user", true);
+        const amount = interaction.options.getInteger("amount", true);
+        if (target.bot) return iNotice(interaction, "You can't pay a bot.");
+
+        const res = transferCoins(guildId, interaction.user.id, target.id, amount);
+        if (!res.ok) return iNotice(interaction, res.error);
+        return interaction.reply({
+          content: `💸 ${interaction.user.username} paid **${amount} coin(s)** to ${target.username}.`,
+          allowedMentions: { parse: [] }
+        });
+      }
+
+      if (cmd === "leaderboard") {
+        const category = interaction.options.getString("category", true);
+        if (!LEADERBOARD_CATEGORIES[category]) return iNotice(interaction, "Unknown leaderboard.");
+        const page = (interaction.options.getInteger("page", false) ?? 1) - 1;
+        return interaction.reply(leaderboardPage(guildId, category, page, interaction.user.id));
+      }
+
+      if (cmd === "guard") {
+        const res = hireGuard(guildId, interaction.user.id);
+        if (!res.ok) return iNotice(interaction, res.error);
+        return iNotice(interaction, `🛡️ A guard watches your purse until <t:${Math.floor(res.until / 1000)}:t>. Pickpockets will be caught.`);
+      }
+
+      if (cmd === "transactions") {
+        const target = interaction.options.getUser("user", false) || interaction.user;
+        if (target.id !== interaction.user.id && !isAdminMember(interaction.memberPermissions)) {
+          return iNotice(interaction, "Only admins can view other members' transactions.");
+        }
+        const page = (interaction.options.getInteger("page", false) ?? 1) - 1;
+        return interaction.reply({ ...transactionsPage(interaction.guild, target.id, page), ephemeral: true });
+      }
+
+      if (cmd === "tokens") {
+        const sub = interaction.options.getSubcommand(true);
+        const uid = interaction.user.id;
+
+        if (sub === "inventory") return iNotice(interaction, tokenInventoryText(guildId, uid));
+
+        if (sub === "buy") {
+          const rarity = parseRarity(interaction.options.getString("rarity", true));
+          if (!rarity) return iNotice(interaction, "Unknown rarity.");
+          const amount = interaction.options.getInteger("amount", false) ?? 1;
+          const res = buyTokens(guildId, uid, rarity, amount);
+          if (!res.ok) return iNotice(interaction, res.error);
+          return iNotice(interaction, `🎟️ Bought **${amount}** ${rarity} token(s) for **${res.cost}** coins.`);
+        }
+
+        if (sub === "open") {
+          const rarity = parseRarity(interaction.options.getString("rarity", true));
+          if (!rarity) return iNotice(interaction, "Unknown rarity.");
+          const res = await openToken(interaction.guild, uid, rarity);
+          if (!res.ok) return iNotice(interaction, res.error);
+          return interaction.reply({
+            content: `🎁 ${interaction.user.username} opens a **${rarity}** token and wins <@&${res.roleId}>!`,
+            allowedMentions: { parse: [] }
+          });
+        }
+      }
+
+      if (cmd === "funconfig") {
+        if (!isAdminMember(interaction.memberPermissions)) return iNotice(interaction, "Admins only.");
+        const logCh = interaction.guild.channels.cache.get(LOG_CHANNEL_ID);
+        if (!logCh) return iNotice(interaction, "Log channel not found.");
+
+        await logCh.send({
+          content: "🎭 Fun Command Panel (enable, roles, rewards, cooldowns)",
+          components: funConfigPanel(guildId),
+          allowedMentions: { parse: [] }
+        });
+        await adminLog(interaction.guild, `🎭 Fun command panel opened.`);
+        return iNotice(interaction, "✅ Panel posted in log channel.");
+      }
+
+      if (cmd === "tokenpanel") {
+        if (!isAdminMember(interaction.memberPermissions)) return iNotice(interaction, "Admins only.");
+        const logCh = interaction.guild.channels.cache.get(LOG_CHANNEL_ID);
+        if (!logCh) return iNotice(interaction, "Log channel not found.");
+
+        await logCh.send({
+          content: "🎟️ Token Panel (prices + role weights)",
+          components: tokenPanelButtons(),
+          allowedMentions: { parse: [] }
+        });
+        await adminLog(interaction.guild, `🎟️ Token panel opened.`);
+        return iNotice(interaction, "✅ Panel posted in log channel.");
       }
 
       if (cmd === "birthday") {
@@ -1045,25 +2852,58 @@ client.on("interactionCreate", async (interaction) => {
         if (sub === "view") {
           const b = data[guildId].birthdays.users[interaction.user.id];
           if (!b) return iNotice(interaction, "No birthday set. Use `/birthday set`.");
-          const shown = b.year ? `${b.day}/${b.month}/${b.year}` : `${b.day}/${b.month}`;
-          return iNotice(interaction, `🎂 Your saved birthday: **${shown}**`);
+          return iNotice(interaction, `🎂 Your saved birthday: **${birthdayText(guildId, b)}**`);
         }
 
         if (sub === "clear") {
           delete data[guildId].birthdays.users[interaction.user.id];
           scheduleSave();
+          updateBirthdayBoard(interaction.guild).catch(() => {});
           return iNotice(interaction, "✅ Birthday cleared.");
         }
 
+        if (sub === "upcoming") {
+          const days = interaction.options.getInteger("days", false) ?? 30;
+          return interaction.reply({ embeds: [birthdayUpcomingEmbed(guildId, days)], ephemeral: true });
+        }
+
+        if (sub === "month") {
+          const month = interaction.options.getInteger("month", true);
+          return interaction.reply({ embeds: [birthdayMonthEmbed(guildId, month)], ephemeral: true });
+        }
+
+        if (sub === "import") {
+          if (!isAdminMember(interaction.memberPermissions)) return iNotice(interaction, "Admins only.");
+          await interaction.deferReply({ ephemeral: true });
+          const dryRun = interaction.options.getBoolean("dryrun", false) ?? true;
+          const report = await importBirthdays(
+            interaction.guild,
+            interaction.options.getAttachment("file", true),
+            dryRun,
+            "run it again with `dryrun: False`."
+          );
+          return interaction.editReply({ ...report, allowedMentions: { parse: [] } });
+        }
+
+        if (sub === "export") {
+          if (!isAdminMember(interaction.memberPermissions)) return iNotice(interaction, "Admins only.");
+          const count = Object.keys(data[guildId].birthdays.users).length;
+          return interaction.reply({ content: `🎂 ${count} birthday(s).`, files: [birthdayExportFile(guildId)], ephemeral: true });
+        }
+
         if (sub === "set") {
           const day = interaction.options.getInteger("day", true);
           const month = interaction.options.getInteger("month", true);
-          const year = interaction.options.getInteger("year", false);
-
-          data[guildId].birthdays.users[interaction.user.id] = { day, month, year: year ?? "" };
-          scheduleSave();
-          const shown = year ? `${day}/${month}/${year}` : `${day}/${month}`;
-          return iNotice(interaction, `✅ Birthday saved as **${shown}**.`);
+          const year = interaction.options.getInteger("year", false);
+          const dateError = birthdayDateError(guildId, day, month, year);
+          if (dateError) return iNotice(interaction, dateError);
+          const rawTz = interaction.options.getString("timezone", false);
+          const timezone = rawTz ? normalizeTimezone(rawTz.trim()) : "";
+          if (rawTz && !timezone) return iNotice(interaction, "Unknown timezone. Use a name like `Europe/London` or `America/New_York`.");
+
+          const b = saveBirthday(guildId, interaction.user.id, { day, month, year: year ?? "", timezone });
+          updateBirthdayBoard(interaction.guild).catch(() => {});
+          return iNotice(interaction, `✅ Birthday saved as **${birthdayText(guildId, b)}**.`);
         }
       }
 
@@ -1076,23 +2916,138 @@ client.on("interactionCreate", async (interaction) => {
         return iNotice(interaction, "✅ Birthday message updated.");
       }
 
+      if (cmd === "setbirthdayhour") {
+        if (!isAdminMember(interaction.memberPermissions)) return iNotice(interaction, "Admins only.");
+        ensureGuild(guildId);
+        const rawTz = interaction.options.getString("timezone", false);
+        const timezone = rawTz ? normalizeTimezone(rawTz.trim()) : "";
+        if (rawTz && !timezone) return iNotice(interaction, "Unknown timezone. Use a name like `Europe/London` or `America/New_York`.");
+
+        const bd = data[guildId].birthdays;
+        bd.announceHour = interaction.options.getInteger("hour", true);
+        if (timezone) bd.timezone = timezone;
+        scheduleSave();
+        await adminLog(interaction.guild, `🎂 Birthdays now announced at ${bd.announceHour}:00 local time (default timezone ${bd.timezone}).`);
+        return iNotice(interaction, `✅ Birthdays are announced at **${bd.announceHour}:00** in each member's timezone (default **${bd.timezone}**).`);
+      }
+
+      if (cmd === "setbirthdayrole") {
+        if (!isAdminMember(interaction.memberPermissions)) return iNotice(interaction, "Admins only.");
+        ensureGuild(guildId);
+        const role = interaction.options.getRole("role", false);
+        if (role && !canManageRole(interaction.guild, role)) {
+          return iNotice(interaction, `I can't manage ${role}. Give me Manage Roles and move my role above it.`);
+        }
+        data[guildId].birthdays.roleId = role?.id || "";
+        scheduleSave();
+        await adminLog(interaction.guild, `🎂 Birthday role set to ${role?.id || "none"}.`);
+        return iNotice(interaction, role ? `✅ Members get ${role} for their birthday.` : "✅ Birthday role turned off.");
+      }
+
+      if (cmd === "setbirthdaygift") {
+        if (!isAdminMember(interaction.memberPermissions)) return iNotice(interaction, "Admins only.");
+        ensureGuild(guildId);
+        const bd = data[guildId].birthdays;
+        bd.giftCoins = interaction.options.getInteger("coins", true);
+        bd.giftXp = interaction.options.getInteger("xp", false) ?? 0;
+        scheduleSave();
+        await adminLog(interaction.guild, `🎂 Birthday gift set to ${bd.giftCoins} coins, ${bd.giftXp} XP.`);
+        return iNotice(interaction, bd.giftCoins || bd.giftXp ? `✅ Birthday gift: **${birthdayGiftText(guildId)}**.` : "✅ Birthday gift turned off.");
+      }
+
+      if (cmd === "setbirthdayleapday") {
+        if (!isAdminMember(interaction.memberPermissions)) return iNotice(interaction, "Admins only.");
+        ensureGuild(guildId);
+        data[guildId].birthdays.leapDay = interaction.options.getString("day", true);
+        scheduleSave();
+        updateBirthdayBoard(interaction.guild).catch(() => {});
+        await adminLog(interaction.guild, `🎂 Leap-day birthdays now celebrated on ${leapDayText(guildId)} in common years.`);
+        return iNotice(interaction, `✅ 29 February birthdays are celebrated on **${leapDayText(guildId)}** in common years.`);
+      }
+
+      if (cmd === "setbirthdayboard") {
+        if (!isAdminMember(interaction.memberPermissions)) return iNotice(interaction, "Admins only.");
+        ensureGuild(guildId);
+        await interaction.deferReply({ ephemeral: true });
+        const bd = data[guildId].birthdays;
+        bd.board = interaction.options.getBoolean("enabled", true);
+        scheduleSave();
+        if (bd.board) await updateBirthdayBoard(interaction.guild);
+        else await removeBirthdayBoard(interaction.guild);
+        await adminLog(interaction.guild, `🎂 Birthday board ${bd.board ? "enabled" : "disabled"}.`);
+        if (bd.board && !bd.boardMessageId) return iNotice(interaction, `⚠️ Board enabled, but I couldn't post in <#${bd.channelId}>.`);
+        return iNotice(interaction, bd.board ? `✅ Birthday board pinned in <#${bd.channelId}>.` : "✅ Birthday board removed.");
+      }
+
       if (cmd === "setbirthdaychannel") {
         if (!isAdminMember(interaction.memberPermissions)) return iNotice(interaction, "Admins only.");
         ensureGuild(guildId);
         const ch = interaction.options.getChannel("channel", true);
         data[guildId].birthdays.channelId = ch.id;
         scheduleSave();
+        updateBirthdayBoard(interaction.guild).catch(() => {});
         await adminLog(interaction.guild, `🎂 Birthday channel set to ${ch.id}.`);
         return iNotice(interaction, `✅ Birthday channel set to ${ch}.`);
       }
 
+      if (cmd === "levelconfig") {
+        if (!isAdminMember(interaction.memberPermissions)) return iNotice(interaction, "Admins only.");
+        const sub = interaction.options.getSubcommand(true);
+        const cfg = data[guildId].levels;
+
+        if (sub === "view") {
+          return interaction.reply({ content: levelConfigText(guildId), ephemeral: true, allowedMentions: { parse: [] } });
+        }
+
+        if (sub === "channel") {
+          const ch = interaction.options.getChannel("channel", true);
+          cfg.channelId = ch.id;
+          scheduleSave();
+          await adminLog(interaction.guild, `⬆️ Level-up channel set to ${ch.id}.`);
+          return iNotice(interaction, `✅ Level-up channel set to ${ch}.`);
+        }
+
+        if (sub === "message") {
+          cfg.messageTemplate = interaction.options.getString("text", true).trim();
+          scheduleSave();
+          await adminLog(interaction.guild, `⬆️ Level-up message template updated.`);
+          return iNotice(interaction, "✅ Level-up message updated.");
+        }
+
+        if (sub === "reward") {
+          const level = interaction.options.getInteger("level", true);
+          const role = interaction.options.getRole("role", true);
+          if (!canManageRole(interaction.guild, role)) return iNotice(interaction, "I can't manage that role (check Manage Roles and my role position).");
+          cfg.rewards[level] = role.id;
+          scheduleSave();
+          await adminLog(interaction.guild, `⬆️ Level ${level} reward role set to ${role.id}.`);
+          return iNotice(interaction, `✅ Level ${level} now gives ${role}.`);
+        }
+
+        if (sub === "unreward") {
+          const level = interaction.options.getInteger("level", true);
+          if (!cfg.rewards[level]) return iNotice(interaction, "No reward role set for that level.");
+          delete cfg.rewards[level];
+          scheduleSave();
+          await adminLog(interaction.guild, `⬆️ Level ${level} reward role removed.`);
+          return iNotice(interaction, "✅ Removed.");
+        }
+
+        if (sub === "stacking") {
+          cfg.stackRewards = interaction.options.getBoolean("stack", true);
+          scheduleSave();
+          await adminLog(interaction.guild, `⬆️ Level reward roles now ${cfg.stackRewards ? "stack" : "replace"}.`);
+          return iNotice(interaction, "✅ Saved.");
+        }
+      }
+
       if (cmd === "economypanel") {
         if (!isAdminMember(interaction.memberPermissions)) return iNotice(interaction, "Admins only.");
         const logCh = interaction.guild.channels.cache.get(LOG_CHANNEL_ID);
         if (!logCh) return iNotice(interaction, "Log channel not found.");
 
         await logCh.send({
-          content: `💰 Economy Panel (Pickpocket punish settings)`,
+          content: `💰 Economy Panel`,
           components: economyPanelButtons(),
           allowedMentions: { parse: [] }
         });
@@ -1178,42 +3133,94 @@ client.on("interactionCreate", async (interaction) => {
         const sub = interaction.options.getSubcommand(true);
 
         if (sub === "start") {
-          const existing = mafiaGames.get(guildId);
-          if (existing) return iNotice(interaction, "A Mafia lobby/game is already running.");
+          const blocker = mafiaLobbyBlocker(interaction.channelId, interaction.user.id);
+          if (blocker) return iNotice(interaction, blocker);
 
           const hostId = interaction.user.id;
-          mafiaGames.set(guildId, {
-            hostId,
-            channelId: interaction.channelId,
-            phase: "lobby",
-            players: new Set([hostId]),
-            lobbyMessageId: ""
-          });
+          const game = createMafiaLobby(guildId, hostId, interaction.channelId);
 
           const sent = await interaction.reply({
-            content: mafiaLobbyContent(mafiaGames.get(guildId), interaction.guild),
-            components: mafiaLobbyButtons(hostId),
+            content: mafiaLobbyContent(game, interaction.guild),
+            components: mafiaLobbyButtons(game),
             allowedMentions: { parse: [] },
             fetchReply: true
           }).catch(() => null);
 
           if (sent) {
-            mafiaGames.get(guildId).lobbyMessageId = sent.id;
+            game.lobbyMessageId = sent.id;
           }
+          saveMafiaGames();
           return;
         }
 
         if (sub === "stop") {
-          const game = mafiaGames.get(guildId);
-          if (!game) return iNotice(interaction, "No Mafia lobby/game running.");
+          // The game in this channel, or else the one you're playing in
+          const game = mafiaGameInChannel(interaction.channelId) || mafiaGameOfPlayer(interaction.user.id);
+          if (!game) return iNotice(interaction, "No Mafia lobby/game running here.");
 
           const isHost = interaction.user.id === game.hostId;
           const isAdmin = isAdminMember(interaction.memberPermissions);
           if (!isHost && !isAdmin) return iNotice(interaction, "Only host or admin can stop.");
 
-          mafiaGames.delete(guildId);
-          await adminLog(interaction.guild, `🕯️ Mafia stopped by ${interaction.user.id}.`);
-          return iNotice(interaction, "✅ Mafia stopped.");
+          deleteMafiaGame(game.id);
+          await iNotice(interaction, "✅ Mafia stopped.");
+          await cleanupMafiaChannels(interaction.guild, game);
+          await adminLog(interaction.guild, `🕯️ Mafia game ${game.id} in <#${game.channelId}> stopped by ${interaction.user.id}.`);
+          return;
+        }
+
+        if (sub === "stats") {
+          const target = interaction.options.getUser("user", false) || interaction.user;
+          return iNotice(interaction, mafiaStatsText(guildId, target.id));
+        }
+
+        if (sub === "history") {
+          const page = (interaction.options.getInteger("page", false) ?? 1) - 1;
+          return interaction.reply({ ...mafiaHistoryPage(guildId, page), ephemeral: true });
+        }
+
+        if (sub === "settings") {
+          if (!isAdminMember(interaction.memberPermissions)) return iNotice(interaction, "Admins only.");
+          const logCh = interaction.guild.channels.cache.get(LOG_CHANNEL_ID);
+          if (!logCh) return iNotice(interaction, "Log channel not found.");
+
+          ensureGuild(guildId);
+          await logCh.send(mafiaSettingsView(data[guildId].mafia.defaults, "guild"));
+          await adminLog(interaction.guild, `🕯️ Mafia defaults panel opened.`);
+          return iNotice(interaction, "✅ Panel posted in log channel.");
+        }
+      }
+
+      if (cmd === "customcmd") {
+        if (!isAdminMember(interaction.memberPermissions)) return iNotice(interaction, "Admins only.");
+        const sub = interaction.options.getSubcommand(true);
+
+        if (sub === "list") return iNotice(interaction, customCommandListText(guildId));
+
+        const name = interaction.options.getString("name", true).toLowerCase().trim();
+
+        if (sub === "create") {
+          const role = interaction.options.getRole("role", false);
+          const res = saveCustomCommand(guildId, name, {
+            template: interaction.options.getString("template", true),
+            requiresTarget: interaction.options.getBoolean("requires_target", false) ?? undefined,
+            coinsMin: interaction.options.getInteger("coins_min", false) ?? undefined,
+            coinsMax: interaction.options.getInteger("coins_max", false) ?? undefined,
+            cooldownSec: interaction.options.getInteger("cooldown", false) ?? undefined,
+            allowedRoleIds: role ? [role.id] : undefined
+          });
+          if (!res.ok) return iNotice(interaction, res.error);
+          refreshSlashCommands(guildId);
+          await adminLog(interaction.guild, `🎭 Custom command ${name} ${res.created ? "created" : "updated"}.`);
+          return iNotice(interaction, `✅ \`${PREFIX}${name}\` / \`/fun ${name}\` ${res.created ? "created" : "updated"}.`);
+        }
+
+        if (sub === "delete") {
+          const res = deleteCustomCommand(guildId, name);
+          if (!res.ok) return iNotice(interaction, res.error);
+          refreshSlashCommands(guildId);
+          await adminLog(interaction.guild, `🎭 Custom command ${name} deleted.`);
+          return iNotice(interaction, "✅ Deleted.");
         }
       }
 
@@ -1231,38 +3238,33 @@ client.on("interactionCreate", async (interaction) => {
           if (!ok) return iNotice(interaction, "You can’t use that action.");
         }
 
+        const target = interaction.options.getUser("target", false);
+        // An invalid pickpocket target shouldn't cost the (long) cooldown
+        if (sub === "pickpocket") {
+          if (!target || target.bot) return iNotice(interaction, "Pick a real user.");
+          if (target.id === interaction.user.id) return iNotice(interaction, "You can't pickpocket yourself.");
+        }
+
         const u = data[guildId].users[interaction.user.id];
         const nowTs = Date.now();
         const last = u.customCooldowns[sub] || 0;
         if (cfg.cooldownSec && (nowTs - last) / 1000 < cfg.cooldownSec) return iNotice(interaction, "That action is on cooldown.");
         u.customCooldowns[sub] = nowTs;
 
-        const target = interaction.options.getUser("target", false);
-
         let text = "";
         let coinsDelta = 0;
 
         if (sub === "beg") {
           coinsDelta = randInt(cfg.coinsMin, cfg.coinsMax);
           text = `🪙 ${interaction.user.username} kneels by the market gate and begs... A passer-by tosses **${coinsDelta} coin(s)**.`;
+          if (coinsDelta) addRewards(guildId, interaction.user.id, coinsDelta, 0, "beg");
         } else if (sub === "pickpocket") {
-          if (!target || target.bot) return iNotice(interaction, "Pick a real user.");
-
-          const eco = data[guildId].eco;
-          const caught = Math.random() < eco.pickpocketCaughtChance;
-
-          if (caught) {
-            u.pickpocketCaught += 1;
-            scheduleSave();
+          const res = attemptPickpocket(guildId, interaction.user.id, target.id, cfg);
+          text = pickpocketText(res, interaction.user.username, target.username);
 
-            text = `🚨 ${interaction.user.username} tries to pickpocket ${target.username}... and gets **caught**! (Caught record: **${u.pickpocketCaught}**)`;
-
-            // punish role if limit reached
+          // punish role if limit reached
+          if (res.outcome === "caught" || res.outcome === "guarded") {
             await maybeApplyPickpocketPunishRole(interaction.guild, interaction.user.id).catch(() => {});
-          } else {
-            coinsDelta = randInt(cfg.coinsMin, cfg.coinsMax);
-            text = `🧤 ${interaction.user.username} pickpockets ${target.username} and nicks **${coinsDelta} coin(s)**.`;
-            if (coinsDelta) addRewards(guildId, interaction.user.id, coinsDelta, 0);
           }
         } else if (sub === "slap") {
           if (!target || target.bot) return iNotice(interaction, "Pick a real user.");
@@ -1272,20 +3274,39 @@ client.on("interactionCreate", async (interaction) => {
           text = `🥊 ${interaction.user.username} throws a punch at ${target.username}. The crowd gasps.`;
         } else if (sub === "duel") {
           if (!target || target.bot) return iNotice(interaction, "Pick a real user.");
-          const win = Math.random() < 0.5;
-          coinsDelta = win ? randInt(cfg.coinsMin, cfg.coinsMax) : 0;
-          text = win
-            ? `⚔️ ${interaction.user.username} duels ${target.username} and wins! The onlookers award **${coinsDelta} coin(s)**.`
-            : `⚔️ ${interaction.user.username} duels ${target.username} but loses... No coins today.`;
-          if (coinsDelta) addRewards(guildId, interaction.user.id, coinsDelta, 0);
+          const wager = interaction.options.getInteger("wager", false) ?? 0;
+          const res = createDuel(guildId, interaction.channelId, interaction.user.id, target.id, wager);
+          if (!res.ok) {
+            u.customCooldowns[sub] = last;
+            return iNotice(interaction, res.error);
+          }
+
+          const sent = await interaction.reply({
+            content: duelChallengeText(res.duel),
+            components: duelButtons(res.duel.id),
+            allowedMentions: { users: [target.id] },
+            fetchReply: true
+          }).catch(() => null);
+          if (sent) res.duel.messageId = sent.id;
+          scheduleSave();
+          return;
         } else if (sub === "praise") {
           if (!target || target.bot) return iNotice(interaction, "Pick a real user.");
           text = `🎩 ${interaction.user.username} offers noble praise to ${target.username}. Truly magnanimous.`;
         } else if (sub === "insult") {
           if (!target || target.bot) return iNotice(interaction, "Pick a real user.");
           text = `🍅 ${interaction.user.username} hurls a scathing insult at ${target.username}. The crowd murmurs.`;
+        } else if (cfg.template) {
+          const res = runCustomCommand(guildId, sub, interaction.user.id, interaction.user.username, target);
+          if (!res.ok) {
+            u.customCooldowns[sub] = last;
+            return iNotice(interaction, res.error);
+          }
+          text = res.text;
         }
 
+        if (!text) return iNotice(interaction, "That action has nothing to say.");
+
         scheduleSave();
         await interaction.reply({ content: text, allowedMentions: { parse: [] } });
         return;
@@ -1294,35 +3315,112 @@ client.on("interactionCreate", async (interaction) => {
       return;
     }
 
+    // Role select menus
+    if (interaction.isRoleSelectMenu()) {
+      const parts = interaction.customId.split(":");
+
+      if (parts[0] === "funcfg" && parts[1] === "roles") {
+        if (!isAdminMember(interaction.memberPermissions)) return iNotice(interaction, "Admins only.");
+        const guildId = interaction.guildId;
+        ensureGuild(guildId);
+        const cfg = data[guildId].custom.commands[parts[2]];
+        if (!cfg) return iNotice(interaction, "That action no longer exists.");
+
+        const old = cfg.allowedRoleIds;
+        cfg.allowedRoleIds = [...interaction.values];
+        scheduleSave();
+        await adminLog(interaction.guild, `🎭 ${parts[2]} allowed roles: ${old.join(", ") || "everyone"} → ${cfg.allowedRoleIds.join(", ") || "everyone"}.`);
+        return interaction.update(funConfigView(guildId, parts[2]));
+      }
+
+      if (parts[0] === "rolesel") {
+        if (!isAdminMember(interaction.memberPermissions)) return iNotice(interaction, "Admins only.");
+        const guildId = interaction.guildId;
+        ensureGuild(guildId);
+
+        if (parts[1] === "joinRole") {
+          const role = interaction.roles.first();
+          if (!canManageRole(interaction.guild, role)) {
+            return iNotice(interaction, `I can't give ${role} — move my role above it and make sure I have Manage Roles.`);
+          }
+          const old = data[guildId].roles.joinRoleId;
+          data[guildId].roles.joinRoleId = role.id;
+          scheduleSave();
+          await adminLog(interaction.guild, `🛡️ Join role: ${old || "(none)"} → ${role.id}.`);
+          return interaction.update(joinRoleView(guildId));
+        }
+
+        const draftKey = `${guildId}:${interaction.user.id}`;
+
+        if (parts[1] === "ruleTrigger") {
+          const triggerRoleId = interaction.values[0];
+          const existing = data[guildId].roles.roleRules[triggerRoleId];
+          const draft = {
+            triggerRoleId,
+            requireRoleId: existing?.requireRoleId || "",
+            removeRoleIds: [...(existing?.removeRoleIds || [])]
+          };
+          roleRuleDrafts.set(draftKey, draft);
+          return interaction.update(roleRuleEditorView(draft));
+        }
+
+        const draft = roleRuleDrafts.get(draftKey);
+        if (!draft) return iNotice(interaction, "This editor expired. Press **Add/Update role rule** again.");
+
+        if (parts[1] === "ruleRequire") draft.requireRoleId = interaction.values[0] || "";
+        if (parts[1] === "ruleRemove") draft.removeRoleIds = [...interaction.values];
+        return interaction.update(roleRuleEditorView(draft));
+      }
+    }
+
     // Select menus
     if (interaction.isStringSelectMenu()) {
       const parts = interaction.customId.split(":");
 
+      if (parts[0] === "rolesdel") {
+        if (!isAdminMember(interaction.memberPermissions)) return iNotice(interaction, "Admins only.");
+        const guildId = interaction.guildId;
+        ensureGuild(guildId);
+        const trigger = interaction.values[0];
+        if (data[guildId].roles.roleRules[trigger]) {
+          delete data[guildId].roles.roleRules[trigger];
+          scheduleSave();
+          await adminLog(interaction.guild, `🛡️ Role rule deleted (trigger ${trigger}).`);
+        }
+        return interaction.update(roleRulesPageView(guildId, Number(parts[1]) || 0));
+      }
+
+      if (parts[0] === "funcfg" && parts[1] === "pick") {
+        if (!isAdminMember(interaction.memberPermissions)) return iNotice(interaction, "Admins only.");
+        const guildId = interaction.guildId;
+        ensureGuild(guildId);
+        const name = interaction.values[0];
+        if (!data[guildId].custom.commands[name]) return iNotice(interaction, "That action no longer exists.");
+        return interaction.reply({ ...funConfigView(guildId, name), ephemeral: true });
+      }
+
+      if (parts[0] === "mafiakick") {
+        if (!mafiaGames.has(parts[1])) return iNotice(interaction, "No active lobby.");
+        const error = await dispatchMafia(interaction.guild, parts[1], { type: "kick", userId: interaction.user.id, targetId: interaction.values[0] }, interaction);
+        if (error) return iNotice(interaction, error);
+        return;
+      }
+
       if (parts[0] === "mafiaact") {
-        const guildId = parts[1];
+        const gameId = parts[1];
         const phase = parts[2];
         const actorId = parts[3];
 
         if (interaction.user.id !== actorId) return iNotice(interaction, "Not your menu.");
-
-        const game = mafiaGames.get(guildId);
-        if (!game) return iNotice(interaction, "No active game.");
-        if (!game.living.has(actorId)) return iNotice(interaction, "You are not alive.");
-
-        const targetId = interaction.values[0];
-        if (!game.living.has(targetId)) return iNotice(interaction, "Target is not alive.");
-
-        if (game.phase === "night" && phase === "kill") game.nightKills.set(actorId, targetId);
-        else if (game.phase === "night" && phase === "save") game.nightSave = targetId;
-        else if (game.phase === "night" && phase === "invest") {
-          game.nightInvestigations.set(actorId, targetId);
-          const role = game.roles.get(targetId);
-          const result = role === "mafia" ? "MAFIA" : "NOT MAFIA";
-          return interaction.reply({ content: `🕵️ Investigation: **${result}**`, ephemeral: true });
-        } else if (game.phase === "day" && phase === "vote") game.dayVotes.set(actorId, targetId);
-        else return iNotice(interaction, "That phase is not active.");
-
-        return interaction.reply({ content: "✅ Selected.", ephemeral: true });
+        if (!mafiaGames.has(gameId)) return iNotice(interaction, "No active game.");
+
+        // The engine validates the pick; the reply (and any phase that ends because of it) is rendered from its events
+        const action = phase === "vote"
+          ? { type: "vote", userId: actorId, targetId: interaction.values[0] }
+          : { type: "nightAction", userId: actorId, action: phase, targetId: interaction.values[0] };
+        const error = await dispatchMafia(interaction.guild, gameId, action, interaction);
+        if (error) return iNotice(interaction, error);
+        return;
       }
     }
 
@@ -1339,16 +3437,58 @@ client.on("interactionCreate", async (interaction) => {
         if (parts[1] === "view") {
           const eco = data[guildId].eco;
           const roleId = eco.pickpocketPunishRoleId || "(none)";
+          const groupText = Object.values(ECO_GROUPS)
+            .map((g) => `**${g.title}**\n` + g.fields.map(([key, label]) => `${label}: **${formatEcoValue(key, eco[key])}**`).join("\n"))
+            .join("\n\n");
           return interaction.reply({
             content:
-              `💰 **Economy settings**\n` +
+              `💰 **Economy settings**\n\n` +
+              `**Pickpocket punishment**\n` +
               `Pickpocket caught chance: **${Math.round(eco.pickpocketCaughtChance * 100)}%**\n` +
               `Caught limit: **${eco.pickpocketCaughtLimit}**\n` +
-              `Punish role ID: **${roleId}**`,
+              `Punish role ID: **${roleId}**\n\n` +
+              groupText,
+            ephemeral: true
+          });
+        }
+
+        if (parts[1] === "group" && ECO_GROUPS[parts[2]]) {
+          const group = ECO_GROUPS[parts[2]];
+          const eco = data[guildId].eco;
+          const modal = new ModalBuilder().setCustomId(`ecomod:group:${parts[2]}`).setTitle(group.title);
+          for (const [key, label] of group.fields) {
+            const input = new TextInputBuilder()
+              .setCustomId(key)
+              .setLabel(label)
+              .setStyle(TextInputStyle.Short)
+              .setValue(formatEcoValue(key, eco[key]))
+              .setRequired(true);
+            modal.addComponents(new ActionRowBuilder().addComponents(input));
+          }
+          return interaction.showModal(modal);
+        }
+
+        if (parts[1] === "reset") {
+          return interaction.reply({
+            content: "⚠️ Reset **every** economy setting to its default? This can't be undone.",
+            components: [
+              new ActionRowBuilder().addComponents(
+                new ButtonBuilder().setCustomId("eco:resetConfirm").setLabel("Yes, reset").setStyle(ButtonStyle.Danger)
+              )
+            ],
             ephemeral: true
           });
         }
 
+        if (parts[1] === "resetConfirm") {
+          const before = { ...data[guildId].eco };
+          data[guildId].eco = { ...ECO_DEFAULTS };
+          scheduleSave();
+          const diff = ecoDiff(before, data[guildId].eco);
+          await adminLog(interaction.guild, `💰 Economy reset to defaults.${diff.length ? `\n${diff.join("\n")}` : " (nothing changed)"}`);
+          return interaction.update({ content: "✅ Economy settings reset to defaults.", components: [] });
+        }
+
         if (parts[1] === "setCaughtChance") {
           const modal = new ModalBuilder().setCustomId("ecomod:setCaughtChance").setTitle("Set pickpocket caught chance");
           const input = new TextInputBuilder()
@@ -1383,51 +3523,299 @@ client.on("interactionCreate", async (interaction) => {
         }
       }
 
+      // Duel accept/decline
+      if (parts[0] === "duel") {
+        const guildId = interaction.guildId;
+        ensureGuild(guildId);
+        const duel = data[guildId].duels[parts[2]];
+        if (!duel) return iNotice(interaction, "That duel is no longer open.");
+
+        const uid = interaction.user.id;
+        if (uid !== duel.targetId && uid !== duel.challengerId) return iNotice(interaction, "This duel isn't yours.");
+
+        if (parts[1] === "decline") {
+          closeDuel(guildId, duel.id);
+          const who = uid === duel.targetId ? `<@${duel.targetId}> declines the duel` : `<@${duel.challengerId}> withdraws the challenge`;
+          return interaction.update({
+            content: `🏳️ ${who}.${duel.wager ? " Wager refunded." : ""}`,
+            components: [],
+            allowedMentions: { parse: [] }
+          });
+        }
+
+        if (parts[1] === "accept") {
+          if (uid !== duel.targetId) return iNotice(interaction, "Only the challenged member can accept.");
+          const res = resolveDuel(guildId, duel.id);
+          if (!res.ok) return iNotice(interaction, res.error);
+          return interaction.update({ content: duelResultText(res), components: [], allowedMentions: { parse: [] } });
+        }
+      }
+
+      // Leaderboard paging (rank footer stays with whoever asked for the board)
+      if (parts[0] === "lb" && LEADERBOARD_CATEGORIES[parts[1]]) {
+        return interaction.update(leaderboardPage(interaction.guildId, parts[1], Number(parts[2]) || 0, parts[3]));
+      }
+
+      // Transaction history paging
+      if (parts[0] === "mafiahist" && parts[1] === "page") {
+        return interaction.update(mafiaHistoryPage(interaction.guildId, Number(parts[2]) || 0));
+      }
+
+      if (parts[0] === "tx" && parts[1] === "page") {
+        const userId = parts[2];
+        if (userId !== interaction.user.id && !isAdminMember(interaction.memberPermissions)) {
+          return iNotice(interaction, "Only admins can view other members' transactions.");
+        }
+        return interaction.update(transactionsPage(interaction.guild, userId, Number(parts[3]) || 0));
+      }
+
+      // Roles panel buttons
+      if (parts[0] === "roles") {
+        if (!isAdminMember(interaction.memberPermissions)) return iNotice(interaction, "Admins only.");
+        const guildId = interaction.guildId;
+        ensureGuild(guildId);
+        const draftKey = `${guildId}:${interaction.user.id}`;
+
+        if (parts[1] === "setJoinRole") return interaction.reply({ ...joinRoleView(guildId), ephemeral: true });
+
+        if (parts[1] === "clearJoinRole") {
+          const old = data[guildId].roles.joinRoleId;
+          data[guildId].roles.joinRoleId = "";
+          scheduleSave();
+          await adminLog(interaction.guild, `🛡️ Join role: ${old || "(none)"} → (none).`);
+          return interaction.update(joinRoleView(guildId));
+        }
+
+        if (parts[1] === "addRule") {
+          const draft = { triggerRoleId: "", requireRoleId: "", removeRoleIds: [] };
+          roleRuleDrafts.set(draftKey, draft);
+          return interaction.reply({ ...roleRuleEditorView(draft), ephemeral: true });
+        }
+
+        if (parts[1] === "saveRule") {
+          const draft = roleRuleDrafts.get(draftKey);
+          if (!draft?.triggerRoleId) return iNotice(interaction, "This editor expired. Press **Add/Update role rule** again.");
+          const error = validateRoleRule(interaction.guild, draft);
+          if (error) return iNotice(interaction, error);
+
+          data[guildId].roles.roleRules[draft.triggerRoleId] = {
+            requireRoleId: draft.requireRoleId,
+            removeRoleIds: draft.removeRoleIds
+          };
+          roleRuleDrafts.delete(draftKey);
+          scheduleSave();
+          await adminLog(interaction.guild, `🛡️ Role rule saved (trigger ${draft.triggerRoleId}).`);
+          return interaction.update({ content: `✅ Rule saved for <@&${draft.triggerRoleId}>.`, components: [], allowedMentions: { parse: [] } });
+        }
+
+        if (parts[1] === "cancelRule") {
+          roleRuleDrafts.delete(draftKey);
+          return interaction.update({ content: "Cancelled.", components: [] });
+        }
+
+        if (parts[1] === "viewRules") return interaction.reply({ ...roleRulesPageView(guildId, 0), ephemeral: true });
+        if (parts[1] === "rulesPage") return interaction.update(roleRulesPageView(guildId, Number(parts[2]) || 0));
+      }
+
+      // Fun command config buttons
+      if (parts[0] === "funcfg") {
+        if (!isAdminMember(interaction.memberPermissions)) return iNotice(interaction, "Admins only.");
+        const guildId = interaction.guildId;
+        ensureGuild(guildId);
+        const name = parts[2];
+        const cfg = data[guildId].custom.commands[name];
+        if (!cfg) return iNotice(interaction, "That action no longer exists.");
+
+        if (parts[1] === "toggle") {
+          cfg.enabled = !cfg.enabled;
+          scheduleSave();
+          await adminLog(interaction.guild, `🎭 ${name} ${cfg.enabled ? "enabled" : "disabled"}.`);
+          return interaction.update(funConfigView(guildId, name));
+        }
+
+        if (parts[1] === "clearRoles") {
+          const old = cfg.allowedRoleIds;
+          cfg.allowedRoleIds = [];
+          scheduleSave();
+          await adminLog(interaction.guild, `🎭 ${name} allowed roles: ${old.join(", ") || "everyone"} → everyone.`);
+          return interaction.update(funConfigView(guildId, name));
+        }
+
+        if (parts[1] === "tune") {
+          const modal = new ModalBuilder().setCustomId(`funcfgmod:tune:${name}`).setTitle(`Tune ${name}`);
+          const fields = [
+            ["coinsMin", "Coins min"],
+            ["coinsMax", "Coins max"],
+            ["cooldownSec", "Cooldown (seconds)"]
+          ];
+          for (const [key, label] of fields) {
+            const input = new TextInputBuilder()
+              .setCustomId(key)
+              .setLabel(label)
+              .setStyle(TextInputStyle.Short)
+              .setValue(String(cfg[key]))
+              .setRequired(true);
+            modal.addComponents(new ActionRowBuilder().addComponents(input));
+          }
+          return interaction.showModal(modal);
+        }
+      }
+
+      // Token panel buttons
+      if (parts[0] === "rng") {
+        if (!isAdminMember(interaction.memberPermissions)) return iNotice(interaction, "Admins only.");
+        const guildId = interaction.guildId;
+        ensureGuild(guildId);
+
+        if (parts[1] === "view") {
+          const rng = data[guildId].rng;
+          const lines = TOKEN_RARITIES.map((r) => {
+            const weights = Object.entries(rng.roleWeights[r]);
+            const roleText = weights.length ? weights.map(([id, w]) => `<@&${id}> (${w})`).join(", ") : "(no roles)";
+            return `**${r}** — ${rng.tokenPrices[r]} coins — ${roleText}`;
+          });
+          return interaction.reply({
+            content: `🎟️ **Token settings**\n${lines.join("\n")}`,
+            ephemeral: true,
+            allowedMentions: { parse: [] }
+          });
+        }
+
+        if (parts[1] === "setPrice") {
+          const modal = new ModalBuilder().setCustomId("rngmod:setPrice").setTitle("Set token price");
+          const rarityInput = new TextInputBuilder()
+            .setCustomId("rarity")
+            .setLabel(`Rarity (${TOKEN_RARITIES.join("/")})`)
+            .setStyle(TextInputStyle.Short)
+            .setRequired(true);
+          const priceInput = new TextInputBuilder()
+            .setCustomId("price")
+            .setLabel("Price in coins (e.g. 120)")
+            .setStyle(TextInputStyle.Short)
+            .setRequired(true);
+          modal.addComponents(
+            new ActionRowBuilder().addComponents(rarityInput),
+            new ActionRowBuilder().addComponents(priceInput)
+          );
+          return interaction.showModal(modal);
+        }
+
+        if (parts[1] === "setWeight") {
+          const modal = new ModalBuilder().setCustomId("rngmod:setWeight").setTitle("Set role weight");
+          const rarityInput = new TextInputBuilder()
+            .setCustomId("rarity")
+            .setLabel(`Rarity (${TOKEN_RARITIES.join("/")})`)
+            .setStyle(TextInputStyle.Short)
+            .setRequired(true);
+          const roleInput = new TextInputBuilder()
+            .setCustomId("roleId")
+            .setLabel("Role ID")
+            .setStyle(TextInputStyle.Short)
+            .setRequired(true);
+          const weightInput = new TextInputBuilder()
+            .setCustomId("weight")
+            .setLabel("Weight (0 = remove from this rarity)")
+            .setStyle(TextInputStyle.Short)
+            .setRequired(true);
+          modal.addComponents(
+            new ActionRowBuilder().addComponents(rarityInput),
+            new ActionRowBuilder().addComponents(roleInput),
+            new ActionRowBuilder().addComponents(weightInput)
+          );
+          return interaction.showModal(modal);
+        }
+      }
+
+      // Mafia rules (lobby host or guild defaults)
+      if (parts[0] === "mafiaset") {
+        const scope = parts[1];
+        const target = mafiaSettingsTarget(interaction, scope);
+        if (target.error) return iNotice(interaction, target.error);
+
+        if (typeof MAFIA_DEFAULT_SETTINGS[parts[2]] === "boolean") {
+          const err = await applyMafiaSettings(interaction, scope, target, { ...target.settings, [parts[2]]: !target.settings[parts[2]] });
+          if (err) return iNotice(interaction, err);
+          return interaction.update(mafiaSettingsView(target.settings, scope));
+        }
+
+        const group = MAFIA_SETTING_GROUPS[parts[2]];
+        if (!group) return iNotice(interaction, "Unknown settings group.");
+        const modal = new ModalBuilder().setCustomId(`mafiasetmod:${scope}:${parts[2]}`).setTitle(group.title);
+        for (const [key, label] of group.fields) {
+          const input = new TextInputBuilder()
+            .setCustomId(key)
+            .setLabel(label)
+            .setStyle(TextInputStyle.Short)
+            .setValue(String(target.settings[key]))
+            .setRequired(true);
+          modal.addComponents(new ActionRowBuilder().addComponents(input));
+        }
+        return interaction.showModal(modal);
+      }
+
       // Mafia lobby/game buttons
       if (parts[0] === "mafia") {
         const action = parts[1];
 
-        if (action === "join" || action === "leave" || action === "startnow" || action === "cancel") {
-          const hostId = parts[2];
-          const guildId = interaction.guildId;
-          const game = mafiaGames.get(guildId);
+        if (["join", "leave", "ready", "kick", "startnow", "cancel", "settings"].includes(action)) {
+          const game = mafiaGames.get(parts[2]);
           if (!game) return iNotice(interaction, "No active lobby/game.");
+          const isHost = interaction.user.id === game.hostId;
 
-          if (action === "join") {
-            if (game.phase !== "lobby") return iNotice(interaction, "Game already started.");
-            game.players.add(interaction.user.id);
-            await iNotice(interaction, "✅ Joined.");
-            await updateMafiaLobbyPanel(interaction, guildId);
+          // The engine validates lobby changes; the reply and panel update are rendered from its events
+          if (action === "join" || action === "leave" || action === "ready") {
+            if (action === "join") {
+              const other = mafiaGameOfPlayer(interaction.user.id);
+              if (other && other !== game) return iNotice(interaction, `You're already in a Mafia game in <#${other.channelId}>.`);
+            }
+            const error = await dispatchMafia(interaction.guild, game.id, { type: action, userId: interaction.user.id }, interaction);
+            if (error) return iNotice(interaction, error);
             return;
           }
 
-          if (action === "leave") {
+          if (action === "kick") {
+            if (!isHost) return iNotice(interaction, "Only the host can kick players.");
             if (game.phase !== "lobby") return iNotice(interaction, "Game already started.");
-            game.players.delete(interaction.user.id);
-            await iNotice(interaction, "✅ Left.");
-            await updateMafiaLobbyPanel(interaction, guildId);
-            return;
+            const others = [...game.players].filter((id) => id !== game.hostId);
+            if (!others.length) return iNotice(interaction, "Nobody to kick.");
+            const members = await interaction.guild.members.fetch({ user: others }).catch(() => null);
+            return interaction.reply({
+              content: "👢 Choose a player to remove from the lobby (they can't rejoin it).",
+              components: mafiaSelectMenu(
+                `mafiakick:${game.id}`,
+                "Kick…",
+                others.map((id) => ({ label: members?.get(id)?.displayName || id, value: id }))
+              ),
+              ephemeral: true
+            });
           }
 
           if (action === "cancel") {
-            if (interaction.user.id !== hostId) return iNotice(interaction, "Only the host can cancel.");
-            mafiaGames.delete(guildId);
+            if (!isHost) return iNotice(interaction, "Only the host can cancel.");
+            deleteMafiaGame(game.id);
             await interaction.update({ content: "❌ Mafia game cancelled.", components: [] });
             return;
           }
 
+          if (action === "settings") {
+            if (!isHost) return iNotice(interaction, "Only the host can change the rules.");
+            if (game.phase !== "lobby") return iNotice(interaction, "Game already started.");
+            return interaction.reply({ ...mafiaSettingsView(game.settings, game.id), ephemeral: true });
+          }
+
           if (action === "startnow") {
-            if (interaction.user.id !== hostId) return iNotice(interaction, "Only the host can start.");
-            if (game.phase !== "lobby") return iNotice(interaction, "Already started.");
+            if (!isHost) return iNotice(interaction, "Only the host can start.");
+            // Pressing Start counts as the host being ready
+            const blocker = mafiaStartBlocker(game, interaction.user.id);
+            if (blocker) return iNotice(interaction, blocker);
             await interaction.update({ content: "⏳ Starting Mafia…", components: [] });
-            await startMafiaGame(interaction.guild, game.channelId);
+            await dispatchMafia(interaction.guild, game.id, { type: "start", userId: interaction.user.id });
             return;
           }
         }
 
         if (action === "reveal") {
-          const guildId = parts[2];
-          const game = mafiaGames.get(guildId);
+          const game = mafiaGames.get(parts[2]);
           if (!game) return iNotice(interaction, "No active game.");
           if (!game.players.has(interaction.user.id)) return iNotice(interaction, "You are not in this game.");
           const role = game.roles.get(interaction.user.id);
@@ -1435,18 +3823,13 @@ client.on("interactionCreate", async (interaction) => {
 
           return interaction.reply({
             content:
-              `🕯️ Your secret role: **${role.toUpperCase()}**\n` +
-              (role === "mafia" ? "At night, choose someone to eliminate." :
-               role === "medic" ? "At night, choose someone to protect." :
-               role === "detective" ? "At night, investigate someone." :
-               "During the day, vote wisely."),
+              `🕯️ Your secret role: **${role.toUpperCase()}**\n` + mafiaRole(role).blurb,
             ephemeral: true
           });
         }
 
         if (action === "action") {
-          const guildId = parts[2];
-          const game = mafiaGames.get(guildId);
+          const game = mafiaGames.get(parts[2]);
           if (!game) return iNotice(interaction, "No active game.");
 
           const uid = interaction.user.id;
@@ -1455,49 +3838,30 @@ client.on("interactionCreate", async (interaction) => {
 
           const living = [...game.living];
           const livingMembers = await interaction.guild.members.fetch({ user: living }).catch(() => null);
-          const labelFor = (id) => livingMembers?.get(id)?.user?.username || id;
+          const labelFor = (id) => livingMembers?.get(id)?.displayName || id;
 
           if (game.phase === "night") {
-            const role = game.roles.get(uid);
-
-            if (role === "mafia") {
-              const targets = living
-                .filter((id) => game.roles.get(id) !== "mafia")
-                .map((id) => ({ label: labelFor(id), value: id }));
-              if (!targets.length) return iNotice(interaction, "No valid targets.");
-              return interaction.reply({
-                content: "🌙 Night action (secret): choose who to eliminate.",
-                components: mafiaSelectMenu(`mafiaact:${guildId}:kill:${uid}`, "Choose target…", targets),
-                ephemeral: true
-              });
-            }
-
-            if (role === "medic") {
-              const targets = living.map((id) => ({ label: labelFor(id), value: id }));
-              return interaction.reply({
-                content: "🌙 Night action (secret): choose who to protect.",
-                components: mafiaSelectMenu(`mafiaact:${guildId}:save:${uid}`, "Protect…", targets),
-                ephemeral: true
-              });
-            }
-
-            if (role === "detective") {
-              const targets = living.filter((id) => id !== uid).map((id) => ({ label: labelFor(id), value: id }));
-              return interaction.reply({
-                content: "🌙 Night action (secret): choose who to investigate.",
-                components: mafiaSelectMenu(`mafiaact:${guildId}:invest:${uid}`, "Investigate…", targets),
-                ephemeral: true
-              });
-            }
-
-            return iNotice(interaction, "You have no night action.");
+            const def = mafiaRole(game.roles.get(uid));
+            const act = MAFIA_ACTIONS[def.action];
+            if (!act) return iNotice(interaction, "You have no night action.");
+            if (mafiaShotsLeft(game, uid) <= 0) return iNotice(interaction, "You have no shots left.");
+
+            const targets = mafiaValidTargets(game, uid).map((id) => ({ label: labelFor(id), value: id }));
+            if (def.action === "shoot") targets.push({ label: "Hold fire tonight", value: MAFIA_SKIP_VOTE });
+            if (!targets.length) return iNotice(interaction, "No valid targets.");
+            return interaction.reply({
+              content: `🌙 Night action (secret): ${act.prompt}`,
+              components: mafiaSelectMenu(`mafiaact:${game.id}:${def.action}:${uid}`, act.placeholder, targets),
+              ephemeral: true
+            });
           }
 
           if (game.phase === "day") {
-            const targets = living.filter((id) => id !== uid).map((id) => ({ label: labelFor(id), value: id }));
+            const targets = mafiaValidTargets(game, uid).map((id) => ({ label: labelFor(id), value: id }));
+            targets.push({ label: "Skip (vote nobody out)", value: MAFIA_SKIP_VOTE });
             return interaction.reply({
-              content: "☀️ Vote (secret): choose who to vote out.",
-              components: mafiaSelectMenu(`mafiaact:${guildId}:vote:${uid}`, "Vote…", targets),
+              content: game.runoff ? "⚖️ Runoff vote (secret): choose between the tied players." : "☀️ Vote (secret): choose who to vote out.",
+              components: mafiaSelectMenu(`mafiaact:${game.id}:vote:${uid}`, "Vote…", targets),
               ephemeral: true
             });
           }
@@ -1518,13 +3882,42 @@ client.on("interactionCreate", async (interaction) => {
         ensureGuild(guildId);
         const eco = data[guildId].eco;
 
+        if (interaction.customId.startsWith("ecomod:group:")) {
+          const group = ECO_GROUPS[interaction.customId.split(":")[2]];
+          if (!group) return iNotice(interaction, "Unknown settings group.");
+
+          const next = {};
+          for (const [key, label, min] of group.fields) {
+            const raw = interaction.fields.getTextInputValue(key).trim().toLowerCase();
+            if (typeof ECO_DEFAULTS[key] === "boolean") {
+              if (!["yes", "no", "true", "false"].includes(raw)) return iNotice(interaction, `${label}: answer yes or no.`);
+              next[key] = raw === "yes" || raw === "true";
+              continue;
+            }
+            const n = Number(raw);
+            if (raw === "" || !Number.isInteger(n) || n < min) return iNotice(interaction, `${label}: enter a whole number ≥ ${min}.`);
+            next[key] = n;
+          }
+          for (const [minKey, maxKey] of group.pairs) {
+            if (next[minKey] > next[maxKey]) return iNotice(interaction, `${minKey} can't be bigger than ${maxKey}.`);
+          }
+
+          const before = { ...eco };
+          Object.assign(eco, next);
+          scheduleSave();
+          const diff = ecoDiff(before, eco);
+          if (diff.length) await adminLog(interaction.guild, `💰 ${group.title} updated:\n${diff.join("\n")}`);
+          return interaction.reply({ content: diff.length ? "✅ Updated." : "No changes.", ephemeral: true });
+        }
+
         if (interaction.customId === "ecomod:setCaughtChance") {
           const raw = interaction.fields.getTextInputValue("chance").trim();
           const pct = Number(raw);
           if (!Number.isFinite(pct) || pct < 0 || pct > 100) return iNotice(interaction, "Enter a percent from 0 to 100.");
+          const old = eco.pickpocketCaughtChance;
           eco.pickpocketCaughtChance = pct / 100;
           scheduleSave();
-          await adminLog(interaction.guild, `💰 Set pickpocket caught chance to ${pct}%.`);
+          await adminLog(interaction.guild, `💰 Set pickpocket caught chance: ${Math.round(old * 100)}% → ${pct}%.`);
           return interaction.reply({ content: "✅ Updated.", ephemeral: true });
         }
 
@@ -1532,58 +3925,104 @@ client.on("interactionCreate", async (interaction) => {
           const raw = interaction.fields.getTextInputValue("limit").trim();
           const limit = Number(raw);
           if (!Number.isFinite(limit) || limit < 1 || limit > 1000) return iNotice(interaction, "Enter a number between 1 and 1000.");
+          const old = eco.pickpocketCaughtLimit;
           eco.pickpocketCaughtLimit = Math.floor(limit);
           scheduleSave();
-          await adminLog(interaction.guild, `💰 Set pickpocket caught limit to ${eco.pickpocketCaughtLimit}.`);
+          await adminLog(interaction.guild, `💰 Set pickpocket caught limit: ${old} → ${eco.pickpocketCaughtLimit}.`);
           return interaction.reply({ content: "✅ Updated.", ephemeral: true });
         }
 
         if (interaction.customId === "ecomod:setPunishRole") {
           const raw = (interaction.fields.getTextInputValue("roleId") || "").trim();
           if (raw && !/^\d{17,20}$/.test(raw)) return iNotice(interaction, "Role ID looks invalid (or leave blank).");
+          const old = eco.pickpocketPunishRoleId;
           eco.pickpocketPunishRoleId = raw || "";
           scheduleSave();
-          await adminLog(interaction.guild, `💰 Set pickpocket punish role to ${eco.pickpocketPunishRoleId || "(none)"}.`);
+          await adminLog(interaction.guild, `💰 Set pickpocket punish role: ${old || "(none)"} → ${eco.pickpocketPunishRoleId || "(none)"}.`);
           return interaction.reply({ content: "✅ Updated.", ephemeral: true });
         }
       }
 
-      // Role modals
-      if (interaction.customId === "rolesmodal:setJoinRole") {
+      // Mafia rules modal
+      if (interaction.customId.startsWith("mafiasetmod:")) {
+        const [, scope, groupKey] = interaction.customId.split(":");
+        const group = MAFIA_SETTING_GROUPS[groupKey];
+        if (!group) return iNotice(interaction, "Unknown settings group.");
+        const target = mafiaSettingsTarget(interaction, scope);
+        if (target.error) return iNotice(interaction, target.error);
+
+        const next = { ...target.settings };
+        for (const [key] of group.fields) {
+          const raw = interaction.fields.getTextInputValue(key).trim().toLowerCase();
+          if (key === "preset") next[key] = raw;
+          else next[key] = raw === "" ? NaN : Number(raw);
+        }
+
+        const err = await applyMafiaSettings(interaction, scope, target, next);
+        if (err) return iNotice(interaction, err);
+        if (interaction.isFromMessage()) return interaction.update(mafiaSettingsView(target.settings, scope));
+        return interaction.reply({ content: "✅ Updated.", ephemeral: true });
+      }
+
+      // Fun command config modal
+      if (interaction.customId.startsWith("funcfgmod:tune:")) {
         if (!isAdminMember(interaction.memberPermissions)) return iNotice(interaction, "Admins only.");
         ensureGuild(guildId);
+        const name = interaction.customId.split(":")[2];
+        const cfg = data[guildId].custom.commands[name];
+        if (!cfg) return iNotice(interaction, "That action no longer exists.");
+
+        const next = {};
+        for (const key of ["coinsMin", "coinsMax", "cooldownSec"]) {
+          const raw = interaction.fields.getTextInputValue(key).trim();
+          const n = Number(raw);
+          if (raw === "" || !Number.isInteger(n) || n < 0) return iNotice(interaction, `${key}: enter a whole number ≥ 0.`);
+          next[key] = n;
+        }
+        if (next.coinsMin > next.coinsMax) return iNotice(interaction, "Coins min can't be bigger than coins max.");
 
-        const roleId = interaction.fields.getTextInputValue("roleId").trim();
-        if (!/^\d{17,20}$/.test(roleId)) return iNotice(interaction, "Role ID invalid.");
-
-        data[guildId].roles.joinRoleId = roleId;
+        const changes = Object.keys(next)
+          .filter((k) => cfg[k] !== next[k])
+          .map((k) => `${k}: ${cfg[k]} → ${next[k]}`);
+        Object.assign(cfg, next);
         scheduleSave();
-        await adminLog(interaction.guild, `🛡️ Join role set to ${roleId}.`);
-        return interaction.reply({ content: "✅ Updated.", ephemeral: true });
+        if (changes.length) await adminLog(interaction.guild, `🎭 ${name} updated: ${changes.join(", ")}.`);
+        if (interaction.isFromMessage()) return interaction.update(funConfigView(guildId, name));
+        return interaction.reply({ content: changes.length ? "✅ Updated." : "No changes.", ephemeral: true });
       }
 
-      if (interaction.customId === "rolesmodal:addRule") {
+      // Token modals
+      if (interaction.customId.startsWith("rngmod:")) {
         if (!isAdminMember(interaction.memberPermissions)) return iNotice(interaction, "Admins only.");
         ensureGuild(guildId);
+        const rng = data[guildId].rng;
 
-        const triggerRoleId = interaction.fields.getTextInputValue("triggerRoleId").trim();
-        const requireRoleId = interaction.fields.getTextInputValue("requireRoleId").trim();
-        const removeRaw = interaction.fields.getTextInputValue("removeRoleIds").trim();
+        const rarity = parseRarity(interaction.fields.getTextInputValue("rarity"));
+        if (!rarity) return iNotice(interaction, `Rarity must be one of: ${TOKEN_RARITIES.join(", ")}.`);
 
-        if (!/^\d{17,20}$/.test(triggerRoleId)) return iNotice(interaction, "Trigger role ID invalid.");
+        if (interaction.customId === "rngmod:setPrice") {
+          const price = Number(interaction.fields.getTextInputValue("price").trim());
+          if (!Number.isFinite(price) || price < 0 || price > 1000000) return iNotice(interaction, "Enter a price from 0 to 1000000.");
+          rng.tokenPrices[rarity] = Math.floor(price);
+          scheduleSave();
+          await adminLog(interaction.guild, `🎟️ Set ${rarity} token price to ${rng.tokenPrices[rarity]}.`);
+          return interaction.reply({ content: "✅ Updated.", ephemeral: true });
+        }
 
-        const removeRoleIds = removeRaw
-          ? removeRaw.split(",").map((s) => s.trim()).filter((s) => /^\d{17,20}$/.test(s))
-          : [];
+        if (interaction.customId === "rngmod:setWeight") {
+          const roleId = interaction.fields.getTextInputValue("roleId").trim();
+          if (!/^\d{17,20}$/.test(roleId)) return iNotice(interaction, "Role ID invalid.");
+          if (!interaction.guild.roles.cache.get(roleId)) return iNotice(interaction, "That role doesn't exist in this server.");
 
-        data[guildId].roles.roleRules[triggerRoleId] = {
-          requireRoleId: /^\d{17,20}$/.test(requireRoleId) ? requireRoleId : "",
-          removeRoleIds
-        };
+          const weight = Number(interaction.fields.getTextInputValue("weight").trim());
+          if (!Number.isFinite(weight) || weight < 0) return iNotice(interaction, "Weight must be a number ≥ 0.");
 
-        scheduleSave();
-        await adminLog(interaction.guild, `🛡️ Role rule saved (trigger ${triggerRoleId}).`);
-        return interaction.reply({ content: "✅ Updated.", ephemeral: true });
+          if (weight === 0) delete rng.roleWeights[rarity][roleId];
+          else rng.roleWeights[rarity][roleId] = weight;
+          scheduleSave();
+          await adminLog(interaction.guild, `🎟️ Set ${rarity} weight for role ${roleId} to ${weight}${weight === 0 ? " (removed)" : ""}.`);
+          return interaction.reply({ content: "✅ Updated.", ephemeral: true });
+        }
       }
     }
   } catch {
@@ -1593,6 +4032,288 @@ client.on("interactionCreate", async (interaction) => {
   }
 });
 
+/* ================= Pickpocket theft ================= */
+/**
+ * Resolves one pickpocket attempt. Stolen coins come out of the target's purse (capped by
+ * their balance); a caught thief pays the fine to the target. A guarded target always catches.
+ * Returns { outcome: "stolen" | "empty" | "caught" | "guarded", amount, caughtCount }.
+ */
+function attemptPickpocket(guildId, thiefId, targetId, cfg) {
+  ensureUser(guildId, thiefId);
+  ensureUser(guildId, targetId);
+  const eco = data[guildId].eco;
+  const thief = data[guildId].users[thiefId];
+  const victim = data[guildId].users[targetId];
+
+  const guarded = victim.guardUntil > Date.now();
+  if (guarded || Math.random() < eco.pickpocketCaughtChance) {
+    thief.pickpocketCaught += 1;
+    const fine = Math.max(0, Math.min(eco.pickpocketFine, thief.coins));
+    if (fine) moveCoins(guildId, thiefId, targetId, fine, "pickpocketFine");
+    scheduleSave();
+    return { outcome: guarded ? "guarded" : "caught", amount: fine, caughtCount: thief.pickpocketCaught };
+  }
+
+  const amount = Math.max(0, Math.min(randInt(cfg.coinsMin, cfg.coinsMax), victim.coins));
+  if (!amount) return { outcome: "empty", amount: 0, caughtCount: thief.pickpocketCaught };
+
+  moveCoins(guildId, targetId, thiefId, amount, "pickpocket");
+  return { outcome: "stolen", amount, caughtCount: thief.pickpocketCaught };
+}
+
+function pickpocketText(res, thiefName, targetName) {
+  const fineText = res.amount ? ` They pay a fine of **${res.amount} coin(s)** to ${targetName}.` : "";
+  if (res.outcome === "guarded") {
+    return `🛡️ ${thiefName} reaches for ${targetName}'s purse... but a hired guard grabs their wrist!${fineText} (Caught record: **${res.caughtCount}**)`;
+  }
+  if (res.outcome === "caught") {
+    return `🚨 ${thiefName} tries to pickpocket ${targetName}... and gets **caught**!${fineText} (Caught record: **${res.caughtCount}**)`;
+  }
+  if (res.outcome === "empty") return `🧤 ${thiefName} pickpockets ${targetName}... but their purse is empty.`;
+  return `🧤 ${thiefName} pickpockets ${targetName} and nicks **${res.amount} coin(s)**.`;
+}
+
+/** Hires a guard for eco.guardDurationMin minutes (stacks onto an active guard). */
+function hireGuard(guildId, userId) {
+  ensureUser(guildId, userId);
+  const eco = data[guildId].eco;
+  const u = data[guildId].users[userId];
+  if (u.coins < eco.guardPrice) return { ok: false, error: `A guard costs **${eco.guardPrice}** coins (you have ${u.coins}).` };
+
+  u.coins -= eco.guardPrice;
+  if (eco.guardPrice) recordTransaction(guildId, userId, -eco.guardPrice, "guard");
+  u.guardUntil = Math.max(u.guardUntil, Date.now()) + eco.guardDurationMin * 60000;
+  scheduleSave();
+  return { ok: true, until: u.guardUntil };
+}
+
+/* ================= Duels ================= */
+const duelTimers = new Map(); // duelId -> timeout
+
+function duelButtons(duelId) {
+  return [
+    new ActionRowBuilder().addComponents(
+      new ButtonBuilder().setCustomId(`duel:accept:${duelId}`).setLabel("Accept").setStyle(ButtonStyle.Success),
+      new ButtonBuilder().setCustomId(`duel:decline:${duelId}`).setLabel("Decline").setStyle(ButtonStyle.Danger)
+    )
+  ];
+}
+
+function duelChallengeText(duel) {
+  const wagerText = duel.wager ? ` for **${duel.wager} coin(s)** each` : "";
+  return `⚔️ <@${duel.challengerId}> challenges <@${duel.targetId}> to a duel${wagerText}!\n` +
+    `<@${duel.targetId}>, do you accept? (expires <t:${Math.floor(duel.expiresAt / 1000)}:R>)`;
+}
+
+/** Creates a challenge and escrows the challenger's wager. */
+function createDuel(guildId, channelId, challengerId, targetId, wager) {
+  if (!Number.isInteger(wager) || wager < 0) return { ok: false, error: "Wager must be a whole number (0 or more)." };
+  if (challengerId === targetId) return { ok: false, error: "You can't duel yourself." };
+
+  ensureUser(guildId, challengerId);
+  ensureUser(guildId, targetId);
+  const duels = data[guildId].duels;
+  const busy = Object.values(duels).some((d) => [d.challengerId, d.targetId].some((id) => id === challengerId || id === targetId));
+  if (busy) return { ok: false, error: "One of you already has a duel pending." };
+
+  const challenger = data[guildId].users[challengerId];
+  if (challenger.coins < wager) return { ok: false, error: `You only have **${challenger.coins}** coins to wager.` };
+  if (data[guildId].users[targetId].coins < wager) return { ok: false, error: "Your opponent can't cover that wager." };
+
+  if (wager) {
+    challenger.coins -= wager;
+    recordTransaction(guildId, challengerId, -wager, "duelWager", targetId);
+  }
+
+  const id = `${Date.now().toString(36)}${randInt(0, 1295).toString(36)}`;
+  const duel = {
+    id,
+    channelId,
+    messageId: "",
+    challengerId,
+    targetId,
+    wager,
+    expiresAt: Date.now() + data[guildId].eco.duelTimeoutSec * 1000
+  };
+  duels[id] = duel;
+  scheduleSave();
+  scheduleDuelExpiry(guildId, duel);
+  return { ok: true, duel };
+}
+
+function scheduleDuelExpiry(guildId, duel) {
+  clearTimeout(duelTimers.get(duel.id));
+  const ms = Math.max(0, duel.expiresAt - Date.now());
+  duelTimers.set(duel.id, setTimeout(() => expireDuel(guildId, duel.id).catch(() => {}), ms));
+}
+
+/** Removes a pending duel and refunds the challenger's escrowed wager (the target only pays on accepting). */
+function closeDuel(guildId, duelId) {
+  const duel = data[guildId]?.duels?.[duelId];
+  if (!duel) return null;
+
+  delete data[guildId].duels[duelId];
+  clearTimeout(duelTimers.get(duelId));
+  duelTimers.delete(duelId);
+
+  if (duel.wager) addRewards(guildId, duel.challengerId, duel.wager, 0, "duelRefund");
+  scheduleSave();
+  return duel;
+}
+
+async function expireDuel(guildId, duelId) {
+  const duel = closeDuel(guildId, duelId);
+  if (!duel) return;
+
+  const guild = client.guilds.cache.get(guildId);
+  const ch = guild?.channels.cache.get(duel.channelId);
+  const msg = ch && duel.messageId ? await ch.messages.fetch(duel.messageId).catch(() => null) : null;
+  if (msg) {
+    await msg.edit({
+      content: `⌛ <@${duel.targetId}> never answered <@${duel.challengerId}>'s challenge. The duel is off${duel.wager ? " and the wager was refunded" : ""}.`,
+      components: [],
+      allowedMentions: { parse: [] }
+    }).catch(() => {});
+  }
+}
+
+/**
+ * Target accepted: escrow their wager, pick a winner (optionally weighted by level),
+ * pay the pot plus the onlookers' award from custom.commands.duel, and record W/L.
+ */
+function resolveDuel(guildId, duelId) {
+  const duel = data[guildId]?.duels?.[duelId];
+  if (!duel) return { ok: false, error: "That duel is no longer open." };
+
+  const target = data[guildId].users[duel.targetId];
+  if (target.coins < duel.wager) return { ok: false, error: `You need **${duel.wager}** coins to accept.` };
+  if (duel.wager) {
+    target.coins -= duel.wager;
+    recordTransaction(guildId, duel.targetId, -duel.wager, "duelWager", duel.challengerId);
+  }
+
+  delete data[guildId].duels[duelId];
+  clearTimeout(duelTimers.get(duelId));
+  duelTimers.delete(duelId);
+
+  const eco = data[guildId].eco;
+  const challenger = data[guildId].users[duel.challengerId];
+  const chance = eco.duelLevelWeighted ? (challenger.level + 1) / (challenger.level + target.level + 2) : 0.5;
+  const challengerWins = Math.random() < chance;
+  const winnerId = challengerWins ? duel.challengerId : duel.targetId;
+  const loserId = challengerWins ? duel.targetId : duel.challengerId;
+
+  const cfg = data[guildId].custom.commands.duel || { coinsMin: 0, coinsMax: 0 };
+  const bonus = randInt(cfg.coinsMin, cfg.coinsMax);
+  const pot = duel.wager * 2;
+  if (pot + bonus) addRewards(guildId, winnerId, pot + bonus, 0, "duel");
+
+  data[guildId].users[winnerId].duelWins += 1;
+  data[guildId].users[loserId].duelLosses += 1;
+  scheduleSave();
+
+  return { ok: true, duel, winnerId, loserId, pot, bonus };
+}
+
+function duelResultText(res) {
+  const prize = [res.pot ? `the pot of **${res.pot} coin(s)**` : "", res.bonus ? `**${res.bonus} coin(s)** from the onlookers` : ""]
+    .filter(Boolean)
+    .join(" and ");
+  return `⚔️ <@${res.duel.challengerId}> and <@${res.duel.targetId}> cross blades in the square... ` +
+    `<@${res.winnerId}> wins!${prize ? ` They take ${prize}.` : ""}`;
+}
+
+/** After a restart: reschedule open challenges (already-expired ones refund immediately). */
+function restoreDuelTimers() {
+  for (const guildId of Object.keys(data)) {
+    for (const duel of Object.values(data[guildId]?.duels || {})) scheduleDuelExpiry(guildId, duel);
+  }
+}
+
+/* ================= Custom roleplay commands ================= */
+const BUILTIN_FUN_COMMANDS = ["beg", "pickpocket", "slap", "punch", "duel", "praise", "insult"];
+const MAX_FUN_SUBCOMMANDS = 25; // Discord's subcommand limit for /fun
+
+/** Admin-defined actions. Legacy entries without a template (or with a name Discord won't accept) are left out. */
+function customCommandNames(guildId) {
+  return Object.entries(data[guildId]?.custom?.commands || {})
+    .filter(([k, c]) => !BUILTIN_FUN_COMMANDS.includes(k) && /^[a-z0-9_-]{1,32}$/.test(k) && typeof c?.template === "string")
+    .map(([k]) => k);
+}
+
+/** Creates or updates an admin-defined action. Template placeholders: {user}, {target}, {coins}. */
+function saveCustomCommand(guildId, name, opts) {
+  ensureGuild(guildId);
+  const commands = data[guildId].custom.commands;
+  if (!/^[a-z0-9_-]{1,32}$/.test(name)) return { ok: false, error: "Names must be 1-32 lowercase letters, numbers, - or _." };
+  if (BASE_PREFIX_COMMANDS.includes(name)) return { ok: false, error: `\`${name}\` is already a bot command.` };
+  if (!commands[name] && BUILTIN_FUN_COMMANDS.length + customCommandNames(guildId).length >= MAX_FUN_SUBCOMMANDS) {
+    return { ok: false, error: `There can be at most ${MAX_FUN_SUBCOMMANDS - BUILTIN_FUN_COMMANDS.length} custom commands.` };
+  }
+
+  const template = String(opts.template || "").trim();
+  if (!template || template.length > 1000) return { ok: false, error: "The template must be 1-1000 characters." };
+
+  const coinsMin = opts.coinsMin ?? 0;
+  const coinsMax = opts.coinsMax ?? coinsMin;
+  if (coinsMin < 0 || coinsMax < coinsMin) return { ok: false, error: "Coin range must be 0 or more, with min ≤ max." };
+
+  const existing = commands[name];
+  commands[name] = {
+    enabled: existing?.enabled ?? true,
+    allowedRoleIds: opts.allowedRoleIds ?? existing?.allowedRoleIds ?? [],
+    coinsMin,
+    coinsMax,
+    cooldownSec: opts.cooldownSec ?? existing?.cooldownSec ?? 15,
+    template,
+    requiresTarget: opts.requiresTarget ?? template.includes("{target}")
+  };
+  scheduleSave();
+  return { ok: true, created: !existing };
+}
+
+function deleteCustomCommand(guildId, name) {
+  ensureGuild(guildId);
+  if (BUILTIN_FUN_COMMANDS.includes(name)) return { ok: false, error: "Built-in actions can't be deleted (disable them in /funconfig)." };
+  if (!data[guildId].custom.commands[name]) return { ok: false, error: "No custom command with that name." };
+  delete data[guildId].custom.commands[name];
+  scheduleSave();
+  return { ok: true };
+}
+
+function customCommandListText(guildId) {
+  const names = customCommandNames(guildId);
+  if (!names.length) return "No custom commands yet.";
+  return names
+    .map((n) => {
+      const c = data[guildId].custom.commands[n];
+      return `\`${PREFIX}${n}\`${c.requiresTarget ? " @user" : ""} — ${c.enabled ? "" : "(disabled) "}${c.template}`;
+    })
+    .join("\n");
+}
+
+/** Runs a custom action for userId (cooldown/role checks are done by the caller). */
+function runCustomCommand(guildId, name, userId, userName, target) {
+  const cfg = data[guildId].custom.commands[name];
+  if (typeof cfg?.template !== "string") return { ok: false, error: "That action isn't set up." };
+  if (cfg.requiresTarget && (!target || target.bot)) return { ok: false, error: "Mention someone to target." };
+
+  const coins = randInt(cfg.coinsMin, cfg.coinsMax);
+  if (coins) addRewards(guildId, userId, coins, 0, "custom");
+
+  const text = cfg.template
+    .replaceAll("{user}", userName)
+    .replaceAll("{target}", target?.username || "someone")
+    .replaceAll("{coins}", String(coins));
+  return { ok: true, text };
+}
+
+/** Custom commands live under /fun, so the guild's slash commands are re-registered after edits. */
+function refreshSlashCommands(guildId) {
+  if (guildId !== GUILD_ID_FOR_SLASH || !client.user) return;
+  registerSlashCommands(client.user.id).catch((e) => console.log("⚠️ Slash command refresh failed:", e?.message || e));
+}
+
 /* ================= Pickpocket punish role applier ================= */
 async function maybeApplyPickpocketPunishRole(guild, userId) {
   const guildId = guild.id;
@@ -1620,38 +4341,56 @@ async function maybeApplyPickpocketPunishRole(guild, userId) {
 }
 
 /* ================= PREFIX COMMANDS: recognized list ================= */
-function getPrefixCommandList(guildId) {
-  ensureGuild(guildId);
-  const base = new Set([
-    "commands",
-    "admin-commands",
+const BASE_PREFIX_COMMANDS = [
+  "commands",
+  "admin-commands",
 
-    "setcooldown",
-    "clearcooldown",
-    "ignorecooldown",
-    "unignorecooldown",
-    "ignoredchannels",
-
-    "balance",
+  "setcooldown",
+  "clearcooldown",
+  "ignorecooldown",
+  "unignorecooldown",
+  "ignoredchannels",
+
+  "balance",
+  "pay",
+  "leaderboard",
+  "guard",
+  "transactions",
+  "tokens",
   
-    "rolepanel",
-    "economypanel",
-
-    "birthday",
-    "setbirthdaymsg",
-    "setbirthdaychannel",
-
-    "mafia",
-
-    "beg",
-    "pickpocket",
-    "slap",
-    "punch",
-    "duel",
-    "praise",
-    "insult"
-  ]);
-  for (const k of Object.keys(data[guildId].custom?.commands || {})) base.add(k);
+  "rolepanel",
+  "economypanel",
+  "tokenpanel",
+  "funconfig",
+
+  "birthday",
+  "setbirthdaymsg",
+  "setbirthdaychannel",
+  "setbirthdayhour",
+  "setbirthdayrole",
+  "setbirthdaygift",
+  "setbirthdayboard",
+  "setbirthdayleapday",
+
+  "levelconfig",
+
+  "mafia",
+
+  "beg",
+  "pickpocket",
+  "slap",
+  "punch",
+  "duel",
+  "praise",
+  "insult",
+
+  "customcmd"
+];
+
+function getPrefixCommandList(guildId) {
+  ensureGuild(guildId);
+  const base = new Set(BASE_PREFIX_COMMANDS);
+  for (const k of customCommandNames(guildId)) base.add(k);
   return base;
 }
 
@@ -1696,10 +4435,11 @@ client.on("messageCreate", async (message) => {
         .setColor(0x5865F2)
         .setTitle("📜 User Commands")
         .addFields(
-          { name: "💰 Economy", value: "`!balance` - View your coins and XP", inline: false },
-          { name: "🎂 Birthdays", value: "`!birthday set DD/MM/YYYY` - Set birthday\n`!birthday view` - View birthday\n`!birthday clear` - Clear birthday", inline: false },
-          { name: "🎮 Mafia Game", value: "`!mafia start` - Start lobby\n`!mafia stop` - Stop game", inline: false },
-          { name: "🎭 Fun Commands", value: "`!beg` - Beg for coins\n`!pickpocket @user` - Pickpocket someone\n`!slap @user` - Slap someone\n`!punch @user` - Punch someone\n`!duel @user` - Challenge to duel\n`!praise @user` - Praise someone\n`!insult @user` - Insult someone", inline: false }
+          { name: "💰 Economy", value: "`!balance` - View your coins and XP\n`!pay @user <amount>` - Give coins to someone\n`!transactions [page]` - Your coin history\n`!leaderboard <coins|xp|level|caught|voice> [page]` - Server rankings", inline: false },
+          { name: "🎟️ Role Tokens", value: "`!tokens` - View your tokens\n`!tokens buy <rarity> [amount]` - Buy tokens\n`!tokens open <rarity>` - Open a token for a random role", inline: false },
+          { name: "🎂 Birthdays", value: "`!birthday set DD/MM/YYYY [timezone]` - Set birthday\n`!birthday view` - View birthday\n`!birthday clear` - Clear birthday\n`!birthday upcoming [days]` - Next birthdays\n`!birthday month <1-12>` - Month calendar", inline: false },
+          { name: "🎮 Mafia Game", value: "`!mafia start` - Start lobby\n`!mafia stop` - Stop game\n`!mafia stats [@user]` - Mafia stats\n`!mafia history [page]` - Finished games", inline: false },
+          { name: "🎭 Fun Commands", value: "`!beg` - Beg for coins\n`!pickpocket @user` - Pickpocket someone\n`!guard` - Hire a guard against pickpockets\n`!slap @user` - Slap someone\n`!punch @user` - Punch someone\n`!duel @user [wager]` - Challenge to duel\n`!praise @user` - Praise someone\n`!insult @user` - Insult someone", inline: false }
         )
         .setFooter({ text: "Use !admin-commands to see admin-only commands" });
       return message.channel.send({ embeds: [embed] });
@@ -1713,8 +4453,10 @@ client.on("messageCreate", async (message) => {
         .setTitle("🔐 Admin Commands")
         .addFields(
           { name: "⏱️ Cooldown Management", value: "`!setcooldown <@role> <seconds> [#channel]`\n`!clearcooldown <@role>`\n`!ignorecooldown <#channel>`\n`!unignorecooldown <#channel>`\n`!ignoredchannels`", inline: false },
-          { name: "⚙️ Configuration Panels", value: "`!economypanel` - Economy settings\n`!rolepanel` - Role management", inline: false },
-          { name: "🎂 Birthday Settings", value: "`!setbirthdaymsg <text>` - Set birthday message\n`!setbirthdaychannel <#channel>` - Set announcement channel", inline: false }
+          { name: "⚙️ Configuration Panels", value: "`!economypanel` - Economy settings\n`!rolepanel` - Role management\n`!tokenpanel` - Token prices & role weights\n`!funconfig` - Fun command settings\n`!mafia settings` - Mafia default rules\n`!customcmd create|delete|list` - Custom roleplay commands", inline: false },
+          { name: "🎂 Birthday Settings", value: "`!setbirthdaymsg <text>` - Set birthday message\n`!setbirthdaychannel <#channel>` - Set announcement channel\n`!setbirthdayhour <0-23> [timezone]` - Set announcement hour\n`!setbirthdayrole <@role|off>` - Role for the day\n`!setbirthdaygift <coins> [xp]` - Birthday gift\n`!setbirthdayboard on|off` - Pinned birthday board\n`!setbirthdayleapday feb28|mar1` - 29 Feb in common years\n`!birthday import [apply]` - Import attached CSV/JSON\n`!birthday export` - Download birthdays", inline: false },
+          { name: "⬆️ Level-ups", value: "`!levelconfig` - View settings\n`!levelconfig channel #channel`\n`!levelconfig message <text>` ({user}, {level})\n`!levelconfig reward <level> @role` / `unreward <level>`\n`!levelconfig stacking on|off`", inline: false },
+          { name: "🧾 Coin Disputes", value: "`!transactions @user [page]` - View any member's coin history", inline: false }
         )
         .setFooter({ text: "Admin commands require Administrator permission" });
       return message.channel.send({ embeds: [embed] });
@@ -1797,7 +4539,68 @@ client.on("messageCreate", async (message) => {
     if (cmd === "balance") {
       ensureUser(guildId, message.author.id);
       const u = data[guildId].users[message.author.id];
-      return userNotice(message, `👛 ${message.author.username} — Coins: ${u.coins} | XP: ${u.xp} | Level: ${u.level} | \nPickpocket caught: **${u.pickpocketCaught}**`);
+      return userNotice(message, `👛 ${message.author.username} — Coins: ${u.coins} | XP: ${u.xp} | Level: ${u.level} | Duels: ${u.duelWins}W/${u.duelLosses}L | \nPickpocket caught: **${u.pickpocketCaught}**`);
+    }
+
+    if (cmd === "pay") {
+      const target = message.mentions.users.first();
+      const amount = Number(args[1]);
+      if (!target || !Number.isFinite(amount)) return userNotice(message, "Usage: `!pay @user <amount>`");
+      if (target.bot) return userNotice(message, "You can't pay a bot.");
+
+      const res = transferCoins(guildId, message.author.id, target.id, amount);
+      if (!res.ok) return userNotice(message, res.error);
+      return userNotice(message, `💸 ${message.author.username} paid **${amount} coin(s)** to ${target.username}.`);
+    }
+
+    if (cmd === "leaderboard") {
+      const category = (args[0] || "coins").toLowerCase();
+      if (!LEADERBOARD_CATEGORIES[category]) {
+        return userNotice(message, `Usage: \`!leaderboard <${Object.keys(LEADERBOARD_CATEGORIES).join("|")}> [page]\``);
+      }
+      const page = args[1] ? Number(args[1]) - 1 : 0;
+      return message.channel.send(leaderboardPage(guildId, category, Number.isFinite(page) ? page : 0, message.author.id)).catch(() => {});
+    }
+
+    if (cmd === "guard") {
+      const res = hireGuard(guildId, message.author.id);
+      if (!res.ok) return userNotice(message, res.error);
+      return userNotice(message, `🛡️ ${message.author.username} hires a guard until <t:${Math.floor(res.until / 1000)}:t>. Pickpockets beware.`);
+    }
+
+    if (cmd === "transactions") {
+      const target = message.mentions.users.first() || message.author;
+      if (target.id !== message.author.id && !isAdmin) return userNotice(message, "Only admins can view other members' transactions.");
+      const pageArg = args.find((a) => /^\d+$/.test(a));
+      const page = pageArg ? Number(pageArg) - 1 : 0;
+      const { embeds } = transactionsPage(message.guild, target.id, page);
+      return message.channel.send({ embeds, allowedMentions: { parse: [] } }).catch(() => {});
+    }
+
+    if (cmd === "tokens") {
+      const sub = (args[0] || "").toLowerCase();
+      const uid = message.author.id;
+
+      if (!sub || sub === "inventory") return userNotice(message, tokenInventoryText(guildId, uid));
+
+      if (sub === "buy") {
+        const rarity = parseRarity(args[1]);
+        if (!rarity) return userNotice(message, `Usage: \`!tokens buy <${TOKEN_RARITIES.join("|")}> [amount]\``);
+        const amount = args[2] ? Math.floor(Number(args[2])) : 1;
+        const res = buyTokens(guildId, uid, rarity, amount);
+        if (!res.ok) return userNotice(message, res.error);
+        return userNotice(message, `🎟️ ${message.author.username} bought **${amount}** ${rarity} token(s) for **${res.cost}** coins.`);
+      }
+
+      if (sub === "open") {
+        const rarity = parseRarity(args[1]);
+        if (!rarity) return userNotice(message, `Usage: \`!tokens open <${TOKEN_RARITIES.join("|")}>\``);
+        const res = await openToken(message.guild, uid, rarity);
+        if (!res.ok) return userNotice(message, res.error);
+        return userNotice(message, `🎁 ${message.author.username} opens a **${rarity}** token and wins <@&${res.roleId}>!`);
+      }
+
+      return userNotice(message, "Usage:\n- `!tokens` (inventory)\n- `!tokens buy <rarity> [amount]`\n- `!tokens open <rarity>`");
     }
 
     // Admin panels
@@ -1820,7 +4623,7 @@ client.on("messageCreate", async (message) => {
       const logCh = message.guild.channels.cache.get(LOG_CHANNEL_ID);
       if (!logCh) return userNotice(message, "Log channel not found.");
       await logCh.send({
-        content: `💰 Economy Panel (Pickpocket punish settings)`,
+        content: `💰 Economy Panel`,
         components: economyPanelButtons(),
         allowedMentions: { parse: [] }
       });
@@ -1828,6 +4631,32 @@ client.on("messageCreate", async (message) => {
       return;
     }
 
+    if (cmd === "funconfig") {
+      if (!isAdmin) return userNotice(message, "Admins only.");
+      const logCh = message.guild.channels.cache.get(LOG_CHANNEL_ID);
+      if (!logCh) return userNotice(message, "Log channel not found.");
+      await logCh.send({
+        content: "🎭 Fun Command Panel (enable, roles, rewards, cooldowns)",
+        components: funConfigPanel(guildId),
+        allowedMentions: { parse: [] }
+      });
+      await adminLog(message.guild, `🎭 Fun command panel opened.`);
+      return;
+    }
+
+    if (cmd === "tokenpanel") {
+      if (!isAdmin) return userNotice(message, "Admins only.");
+      const logCh = message.guild.channels.cache.get(LOG_CHANNEL_ID);
+      if (!logCh) return userNotice(message, "Log channel not found.");
+      await logCh.send({
+        content: "🎟️ Token Panel (prices + role weights)",
+        components: tokenPanelButtons(),
+        allowedMentions: { parse: [] }
+      });
+      await adminLog(message.guild, `🎟️ Token panel opened.`);
+      return;
+    }
+
     // Birthdays
     if (cmd === "birthday") {
       ensureGuild(guildId);
@@ -1836,95 +4665,296 @@ client.on("messageCreate", async (message) => {
       if (sub === "view") {
         const b = data[guildId].birthdays.users[message.author.id];
         if (!b) return userNotice(message, "You haven’t set a birthday yet. Use `!birthday set DD/MM/YYYY` (year optional).");
-        const shown = b.year ? `${b.day}/${b.month}/${b.year}` : `${b.day}/${b.month}`;
-        return userNotice(message, `🎂 Your saved birthday: **${shown}**`);
+        return userNotice(message, `🎂 Your saved birthday: **${birthdayText(guildId, b)}**`);
       }
 
       if (sub === "clear") {
         delete data[guildId].birthdays.users[message.author.id];
         scheduleSave();
+        updateBirthdayBoard(message.guild).catch(() => {});
         return userNotice(message, "✅ Birthday cleared.");
       }
 
+      if (sub === "upcoming") {
+        const days = args[1] === undefined ? 30 : Number(args[1]);
+        if (!Number.isInteger(days) || days < 1 || days > 366) return userNotice(message, "Usage: `!birthday upcoming [days 1-366]`");
+        return message.channel.send({ embeds: [birthdayUpcomingEmbed(guildId, days)], allowedMentions: { parse: [] } }).catch(() => {});
+      }
+
+      if (sub === "import") {
+        if (!isAdmin) return userNotice(message, "Admins only.");
+        const attachment = message.attachments.first();
+        if (!attachment) return userNotice(message, "Attach a CSV or JSON file: `!birthday import [apply]` (without `apply` it's a dry run).");
+        const dryRun = (args[1] || "").toLowerCase() !== "apply";
+        const report = await importBirthdays(message.guild, attachment, dryRun, "send `!birthday import apply` with the file.");
+        return message.channel.send({ ...report, allowedMentions: { parse: [] } }).catch(() => {});
+      }
+
+      if (sub === "export") {
+        if (!isAdmin) return userNotice(message, "Admins only.");
+        const count = Object.keys(data[guildId].birthdays.users).length;
+        return message.channel.send({ content: `🎂 ${count} birthday(s).`, files: [birthdayExportFile(guildId)] }).catch(() => {});
+      }
+
+      if (sub === "month") {
+        const month = Number(args[1]);
+        if (!Number.isInteger(month) || month < 1 || month > 12) return userNotice(message, "Usage: `!birthday month <1-12>`");
+        return message.channel.send({ embeds: [birthdayMonthEmbed(guildId, month)], allowedMentions: { parse: [] } }).catch(() => {});
+      }
+
       if (sub === "set") {
         const raw = (args[1] || "").trim();
         const m = raw.match(/^(\d{1,2})\/(\d{1,2})(?:\/(\d{4}))?$/);
-        if (!m) return userNotice(message, "Use: `!birthday set DD/MM/YYYY` (year optional). Example: `!birthday set 25/01/2010`");
+        if (!m) return userNotice(message, "Use: `!birthday set DD/MM/YYYY [timezone]` (year and timezone optional). Example: `!birthday set 25/01/2010 America/New_York`");
 
         const day = Number(m[1]);
         const month = Number(m[2]);
         const year = m[3] ? Number(m[3]) : null;
 
-        if (!(month >= 1 && month <= 12 && day >= 1 && day <= 31)) return userNotice(message, "That date doesn’t look valid.");
-        if (year !== null && !(year >= 1900 && year <= 2100)) return userNotice(message, "Year must be 1900–2100 (or omit).");
+        const dateError = birthdayDateError(guildId, day, month, year);
+        if (dateError) return userNotice(message, dateError);
+        const timezone = args[2] ? normalizeTimezone(args[2]) : "";
+        if (args[2] && !timezone) return userNotice(message, "Unknown timezone. Use a name like `Europe/London` or `America/New_York`.");
 
-        data[guildId].birthdays.users[message.author.id] = { day, month, year: year ?? "" };
-        scheduleSave();
-        const shown = year ? `${day}/${month}/${year}` : `${day}/${month}`;
-        return userNotice(message, `✅ Birthday saved as **${shown}**.`);
+        const b = saveBirthday(guildId, message.author.id, { day, month, year: year ?? "", timezone });
+        updateBirthdayBoard(message.guild).catch(() => {});
+        return userNotice(message, `✅ Birthday saved as **${birthdayText(guildId, b)}**.`);
       }
 
-      return userNotice(message, "Usage:\n- `!birthday set DD/MM/YYYY` (year optional)\n- `!birthday view`\n- `!birthday clear`");
+      return userNotice(message, "Usage:\n- `!birthday set DD/MM/YYYY [timezone]` (year and timezone optional)\n- `!birthday view`\n- `!birthday clear`\n- `!birthday upcoming [days]`\n- `!birthday month <1-12>`");
     }
 
     if (cmd === "setbirthdaymsg") {
       if (!isAdmin) return userNotice(message, "Admins only.");
       const text = args.join(" ").trim();
-      if (!text) return userNotice(message, "Usage: `!setbirthdaymsg <message>` (use {user} and optional {age})");
+      if (!text) return userNotice(message, "Usage: `!setbirthdaymsg <message>` (use {user}, optional {age} and {gift})");
       data[guildId].birthdays.messageTemplate = text;
       scheduleSave();
       await adminLog(message.guild, `🎂 Birthday message template updated.`);
       return userNotice(message, "✅ Birthday message updated.");
     }
 
+    if (cmd === "setbirthdayhour") {
+      if (!isAdmin) return userNotice(message, "Admins only.");
+      const hour = Number(args[0]);
+      if (args[0] === undefined || !Number.isInteger(hour) || hour < 0 || hour > 23) {
+        return userNotice(message, "Usage: `!setbirthdayhour <0-23> [default timezone]`");
+      }
+      const timezone = args[1] ? normalizeTimezone(args[1]) : "";
+      if (args[1] && !timezone) return userNotice(message, "Unknown timezone. Use a name like `Europe/London` or `America/New_York`.");
+
+      const bd = data[guildId].birthdays;
+      bd.announceHour = hour;
+      if (timezone) bd.timezone = timezone;
+      scheduleSave();
+      await adminLog(message.guild, `🎂 Birthdays now announced at ${bd.announceHour}:00 local time (default timezone ${bd.timezone}).`);
+      return userNotice(message, `✅ Birthdays are announced at **${bd.announceHour}:00** in each member's timezone (default **${bd.timezone}**).`);
+    }
+
+    if (cmd === "setbirthdayrole") {
+      if (!isAdmin) return userNotice(message, "Admins only.");
+      const off = (args[0] || "").toLowerCase() === "off";
+      const role = off ? null : message.mentions.roles.first() || (args[0] && message.guild.roles.cache.get(args[0]));
+      if (!off && !role) return userNotice(message, "Usage: `!setbirthdayrole @role` or `!setbirthdayrole off`");
+      if (role && !canManageRole(message.guild, role)) {
+        return userNotice(message, `I can't manage ${role}. Give me Manage Roles and move my role above it.`);
+      }
+      data[guildId].birthdays.roleId = role?.id || "";
+      scheduleSave();
+      await adminLog(message.guild, `🎂 Birthday role set to ${role?.id || "none"}.`);
+      return userNotice(message, role ? `✅ Members get ${role} for their birthday.` : "✅ Birthday role turned off.");
+    }
+
+    if (cmd === "setbirthdaygift") {
+      if (!isAdmin) return userNotice(message, "Admins only.");
+      const coins = Number(args[0]);
+      const xp = Number(args[1] ?? 0);
+      const valid = (n) => Number.isInteger(n) && n >= 0 && n <= 1000000;
+      if (args[0] === undefined || !valid(coins) || !valid(xp)) return userNotice(message, "Usage: `!setbirthdaygift <coins> [xp]` (0 to turn off)");
+
+      const bd = data[guildId].birthdays;
+      bd.giftCoins = coins;
+      bd.giftXp = xp;
+      scheduleSave();
+      await adminLog(message.guild, `🎂 Birthday gift set to ${bd.giftCoins} coins, ${bd.giftXp} XP.`);
+      return userNotice(message, coins || xp ? `✅ Birthday gift: **${birthdayGiftText(guildId)}**.` : "✅ Birthday gift turned off.");
+    }
+
+    if (cmd === "setbirthdayleapday") {
+      if (!isAdmin) return userNotice(message, "Admins only.");
+      const choice = (args[0] || "").toLowerCase();
+      if (!["feb28", "mar1"].includes(choice)) return userNotice(message, "Usage: `!setbirthdayleapday feb28|mar1`");
+      data[guildId].birthdays.leapDay = choice;
+      scheduleSave();
+      updateBirthdayBoard(message.guild).catch(() => {});
+      await adminLog(message.guild, `🎂 Leap-day birthdays now celebrated on ${leapDayText(guildId)} in common years.`);
+      return userNotice(message, `✅ 29 February birthdays are celebrated on **${leapDayText(guildId)}** in common years.`);
+    }
+
+    if (cmd === "setbirthdayboard") {
+      if (!isAdmin) return userNotice(message, "Admins only.");
+      const choice = (args[0] || "").toLowerCase();
+      if (!["on", "off"].includes(choice)) return userNotice(message, "Usage: `!setbirthdayboard on|off`");
+      const bd = data[guildId].birthdays;
+      bd.board = choice === "on";
+      scheduleSave();
+      if (bd.board) await updateBirthdayBoard(message.guild);
+      else await removeBirthdayBoard(message.guild);
+      await adminLog(message.guild, `🎂 Birthday board ${bd.board ? "enabled" : "disabled"}.`);
+      if (bd.board && !bd.boardMessageId) return userNotice(message, `⚠️ Board enabled, but I couldn't post in <#${bd.channelId}>.`);
+      return userNotice(message, bd.board ? `✅ Birthday board pinned in <#${bd.channelId}>.` : "✅ Birthday board removed.");
+    }
+
     if (cmd === "setbirthdaychannel") {
       if (!isAdmin) return userNotice(message, "Admins only.");
       const ch = message.mentions.channels.first() || (args[0] && message.guild.channels.cache.get(args[0]));
       if (!ch) return userNotice(message, "Usage: `!setbirthdaychannel #channel`");
       data[guildId].birthdays.channelId = ch.id;
       scheduleSave();
+      updateBirthdayBoard(message.guild).catch(() => {});
       await adminLog(message.guild, `🎂 Birthday channel set to ${ch.id}.`);
       return userNotice(message, `✅ Birthday announcements channel set to ${ch}.`);
     }
 
+    // Level-ups
+    if (cmd === "levelconfig") {
+      if (!isAdmin) return userNotice(message, "Admins only.");
+      const sub = (args[0] || "").toLowerCase();
+      const cfg = data[guildId].levels;
+
+      if (sub === "channel") {
+        const ch = message.mentions.channels.first() || (args[1] && message.guild.channels.cache.get(args[1]));
+        if (!ch) return userNotice(message, "Usage: `!levelconfig channel #channel`");
+        cfg.channelId = ch.id;
+        scheduleSave();
+        await adminLog(message.guild, `⬆️ Level-up channel set to ${ch.id}.`);
+        return userNotice(message, `✅ Level-up channel set to ${ch}.`);
+      }
+
+      if (sub === "message") {
+        const text = args.slice(1).join(" ").trim();
+        if (!text) return userNotice(message, "Usage: `!levelconfig message <text>` (use {user} and {level})");
+        cfg.messageTemplate = text;
+        scheduleSave();
+        await adminLog(message.guild, `⬆️ Level-up message template updated.`);
+        return userNotice(message, "✅ Level-up message updated.");
+      }
+
+      if (sub === "reward") {
+        const level = Number(args[1]);
+        const role = message.mentions.roles.first() || (args[2] && message.guild.roles.cache.get(args[2]));
+        if (!Number.isInteger(level) || level < 1 || !role) return userNotice(message, "Usage: `!levelconfig reward <level> @role`");
+        if (!canManageRole(message.guild, role)) return userNotice(message, "I can't manage that role (check Manage Roles and my role position).");
+        cfg.rewards[level] = role.id;
+        scheduleSave();
+        await adminLog(message.guild, `⬆️ Level ${level} reward role set to ${role.id}.`);
+        return userNotice(message, `✅ Level ${level} now gives ${role}.`);
+      }
+
+      if (sub === "unreward") {
+        const level = Number(args[1]);
+        if (!cfg.rewards[level]) return userNotice(message, "No reward role set for that level.");
+        delete cfg.rewards[level];
+        scheduleSave();
+        await adminLog(message.guild, `⬆️ Level ${level} reward role removed.`);
+        return userNotice(message, "✅ Removed.");
+      }
+
+      if (sub === "stacking") {
+        const val = (args[1] || "").toLowerCase();
+        if (val !== "on" && val !== "off") return userNotice(message, "Usage: `!levelconfig stacking on|off`");
+        cfg.stackRewards = val === "on";
+        scheduleSave();
+        await adminLog(message.guild, `⬆️ Level reward roles now ${cfg.stackRewards ? "stack" : "replace"}.`);
+        return userNotice(message, "✅ Saved.");
+      }
+
+      return userNotice(message, levelConfigText(guildId));
+    }
+
     // Mafia
     if (cmd === "mafia" && (args[0] || "").toLowerCase() === "start") {
-      const existing = mafiaGames.get(guildId);
-      if (existing) return userNotice(message, "A Mafia lobby/game is already running.");
+      const blocker = mafiaLobbyBlocker(message.channel.id, message.author.id);
+      if (blocker) return userNotice(message, blocker);
 
       const hostId = message.author.id;
-      mafiaGames.set(guildId, {
-        hostId,
-        channelId: message.channel.id,
-        phase: "lobby",
-        players: new Set([hostId]),
-        lobbyMessageId: ""
-      });
+      const game = createMafiaLobby(guildId, hostId, message.channel.id);
 
       const sent = await message.channel.send({
-        content: mafiaLobbyContent(mafiaGames.get(guildId), message.guild),
-        components: mafiaLobbyButtons(hostId),
+        content: mafiaLobbyContent(game, message.guild),
+        components: mafiaLobbyButtons(game),
         allowedMentions: { parse: [] }
       });
 
-      mafiaGames.get(guildId).lobbyMessageId = sent.id;
+      game.lobbyMessageId = sent.id;
+      saveMafiaGames();
       return;
     }
 
     if (cmd === "mafia" && (args[0] || "").toLowerCase() === "stop") {
-      const game = mafiaGames.get(guildId);
-      if (!game) return userNotice(message, "No Mafia lobby/game running.");
+      // The game in this channel, or else the one you're playing in
+      const game = mafiaGameInChannel(message.channel.id) || mafiaGameOfPlayer(message.author.id);
+      if (!game) return userNotice(message, "No Mafia lobby/game running here.");
 
       const isHost = message.author.id === game.hostId;
       if (!isHost && !isAdmin) return userNotice(message, "Only the host or an admin can stop the game.");
 
-      mafiaGames.delete(guildId);
-      await adminLog(message.guild, `🕯️ Mafia stopped by ${message.author.id}.`);
+      deleteMafiaGame(game.id);
+      await cleanupMafiaChannels(message.guild, game);
+      await adminLog(message.guild, `🕯️ Mafia game ${game.id} in <#${game.channelId}> stopped by ${message.author.id}.`);
+      return;
+    }
+
+    if (cmd === "mafia" && (args[0] || "").toLowerCase() === "stats") {
+      const target = message.mentions.users.first() || message.author;
+      return userNotice(message, mafiaStatsText(guildId, target.id));
+    }
+
+    if (cmd === "mafia" && (args[0] || "").toLowerCase() === "history") {
+      const page = /^\d+$/.test(args[1] || "") ? Number(args[1]) - 1 : 0;
+      const { embeds } = mafiaHistoryPage(guildId, page);
+      return message.channel.send({ embeds, allowedMentions: { parse: [] } }).catch(() => {});
+    }
+
+    if (cmd === "mafia" && (args[0] || "").toLowerCase() === "settings") {
+      if (!isAdmin) return userNotice(message, "Admins only.");
+      const logCh = message.guild.channels.cache.get(LOG_CHANNEL_ID);
+      if (!logCh) return userNotice(message, "Log channel not found.");
+      await logCh.send(mafiaSettingsView(data[guildId].mafia.defaults, "guild"));
+      await adminLog(message.guild, `🕯️ Mafia defaults panel opened.`);
       return;
     }
 
+    // Custom roleplay commands (admin)
+    if (cmd === "customcmd") {
+      if (!isAdmin) return userNotice(message, "Admins only.");
+      const sub = (args[0] || "").toLowerCase();
+      const name = (args[1] || "").toLowerCase();
+
+      if (sub === "create") {
+        const res = saveCustomCommand(guildId, name, { template: args.slice(2).join(" ") });
+        if (!res.ok) return userNotice(message, res.error);
+        refreshSlashCommands(guildId);
+        await adminLog(message.guild, `🎭 Custom command ${name} ${res.created ? "created" : "updated"}.`);
+        return userNotice(message, `✅ \`${PREFIX}${name}\` ${res.created ? "created" : "updated"}. Tune coins, cooldown and roles in \`${PREFIX}funconfig\`.`);
+      }
+
+      if (sub === "delete") {
+        const res = deleteCustomCommand(guildId, name);
+        if (!res.ok) return userNotice(message, res.error);
+        refreshSlashCommands(guildId);
+        await adminLog(message.guild, `🎭 Custom command ${name} deleted.`);
+        return userNotice(message, "✅ Deleted.");
+      }
+
+      if (sub === "list") return userNotice(message, customCommandListText(guildId));
+
+      return userNotice(message, "Usage:\n- `!customcmd create <name> <template>` ({user}, {target}, {coins})\n- `!customcmd delete <name>`\n- `!customcmd list`");
+    }
+
     // Medieval fun commands
-    if (data[guildId].custom?.commands?.[cmd]) {
+    const funCmd = BUILTIN_FUN_COMMANDS.includes(cmd) || customCommandNames(guildId).includes(cmd);
+    if (funCmd && data[guildId].custom?.commands?.[cmd]) {
       ensureUser(guildId, message.author.id);
       const cfg = data[guildId].custom.commands[cmd];
       if (!cfg.enabled) return;
@@ -1934,34 +4964,30 @@ client.on("messageCreate", async (message) => {
         if (!ok) return;
       }
 
+      const target = message.mentions.users.first();
+      // An invalid pickpocket target shouldn't cost the (long) cooldown
+      if (cmd === "pickpocket") {
+        if (!target || target.bot) return userNotice(message, "Mention someone to pickpocket.");
+        if (target.id === message.author.id) return userNotice(message, "You can't pickpocket yourself.");
+      }
+
       const u = data[guildId].users[message.author.id];
       const nowTs = Date.now();
       const last = u.customCooldowns[cmd] || 0;
       if (cfg.cooldownSec && (nowTs - last) / 1000 < cfg.cooldownSec) return;
       u.customCooldowns[cmd] = nowTs;
-
-      const target = message.mentions.users.first();
       let text = "";
       let coinsDelta = 0;
 
       if (cmd === "beg") {
         coinsDelta = randInt(cfg.coinsMin, cfg.coinsMax);
         text = `🪙 ${message.author.username} kneels by the market gate and begs... A passer-by tosses **${coinsDelta} coin(s)**.`;
-        addRewards(guildId, message.author.id, coinsDelta, 0);
+        if (coinsDelta) addRewards(guildId, message.author.id, coinsDelta, 0, "beg");
       } else if (cmd === "pickpocket") {
-        if (!target || target.bot) return userNotice(message, "Mention someone to pickpocket.");
-
-        const eco = data[guildId].eco;
-        const caught = Math.random() < eco.pickpocketCaughtChance;
-
-        if (caught) {
-          u.pickpocketCaught += 1;
-          text = `🚨 ${message.author.username} tries to pickpocket ${target.username}... and gets **caught**! (Caught record: **${u.pickpocketCaught}**)`;
+        const res = attemptPickpocket(guildId, message.author.id, target.id, cfg);
+        text = pickpocketText(res, message.author.username, target.username);
+        if (res.outcome === "caught" || res.outcome === "guarded") {
           await maybeApplyPickpocketPunishRole(message.guild, message.author.id).catch(() => {});
-        } else {
-          coinsDelta = randInt(cfg.coinsMin, cfg.coinsMax);
-          text = `🧤 ${message.author.username} pickpockets ${target.username} and nicks **${coinsDelta} coin(s)**.`;
-          if (coinsDelta) addRewards(guildId, message.author.id, coinsDelta, 0);
         }
       } else if (cmd === "slap") {
         if (!target || target.bot) return userNotice(message, "Mention someone to slap.");
@@ -1971,20 +4997,38 @@ client.on("messageCreate", async (message) => {
         text = `🥊 ${message.author.username} throws a punch at ${target.username}. The crowd gasps.`;
       } else if (cmd === "duel") {
         if (!target || target.bot) return userNotice(message, "Mention someone to duel.");
-        const win = Math.random() < 0.5;
-        coinsDelta = win ? randInt(cfg.coinsMin, cfg.coinsMax) : 0;
-        text = win
-          ? `⚔️ ${message.author.username} duels ${target.username} and wins! The onlookers award **${coinsDelta} coin(s)**.`
-          : `⚔️ ${message.author.username} duels ${target.username} but loses... No coins today.`;
-        if (coinsDelta) addRewards(guildId, message.author.id, coinsDelta, 0);
+        const wagerArg = args.find((a) => /^\d+$/.test(a));
+        const res = createDuel(guildId, message.channel.id, message.author.id, target.id, wagerArg ? Number(wagerArg) : 0);
+        if (!res.ok) {
+          u.customCooldowns[cmd] = last;
+          return userNotice(message, res.error);
+        }
+
+        const sent = await message.channel.send({
+          content: duelChallengeText(res.duel),
+          components: duelButtons(res.duel.id),
+          allowedMentions: { users: [target.id] }
+        }).catch(() => null);
+        if (sent) res.duel.messageId = sent.id;
+        scheduleSave();
+        return;
       } else if (cmd === "praise") {
         if (!target || target.bot) return userNotice(message, "Mention someone to praise.");
         text = `🎩 ${message.author.username} offers noble praise to ${target.username}. Truly magnanimous.`;
       } else if (cmd === "insult") {
         if (!target || target.bot) return userNotice(message, "Mention someone to insult.");
         text = `🍅 ${message.author.username} hurls a scathing insult at ${target.username}. The crowd murmurs.`;
+      } else {
+        const res = runCustomCommand(guildId, cmd, message.author.id, message.author.username, target);
+        if (!res.ok) {
+          u.customCooldowns[cmd] = last;
+          return userNotice(message, res.error);
+        }
+        text = res.text;
       }
 
+      if (!text) return;
+
       scheduleSave();
       await message.channel.send({ content: text, allowedMentions: { parse: [] } }).catch(() => {});
       return;
@@ -2022,17 +5066,7 @@ client.on("messageCreate", async (message) => {
     const coins = randInt(eco.msgCoinsMin, eco.msgCoinsMax);
     const xp = randInt(eco.msgXpMin, eco.msgXpMax);
 
-    const { leveledUp, level } = addRewards(guildId, message.author.id, coins, xp);
-
-    if (leveledUp) {
-      const levelCh = message.guild.channels.cache.get(LEVEL_UP_CHANNEL_ID);
-      if (levelCh) {
-        levelCh.send({
-          content: `⬆️ ${message.author.username} reached **Level ${level}**!`,
-          allowedMentions: { parse: [] }
-        }).catch(() => {});
-      }
-    }
+    addRewards(guildId, message.author.id, coins, xp, "message");
   } else {
     scheduleSave();
   }
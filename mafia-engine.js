@@ -0,0 +1,640 @@
+/**
+ * mafia-engine.js — Mafia rules as a deterministic state machine.
+ *
+ * lobby → setup → night → dawn → day → dusk → night … → ended
+ *
+ * mafiaStep(game, action) validates one action, mutates the game and returns the events the bot
+ * has to render. Nothing in here touches Discord, the clock or Math.random: every random draw
+ * comes from game.rngState, so the same seed and the same actions always replay the same game.
+ * index.js renders the events and runs the phase timers; mafia-sim.js plays bot games with it.
+ */
+
+const MAFIA_SKIP_VOTE = "skip"; // day-vote value for "vote nobody out" (and the vigilante's "hold fire")
+
+// Mafia rules: guild defaults are copied into each new lobby, where the host can tweak them
+const MAFIA_PRESETS = ["classic", "extended", "simple", "custom"]; // custom = explicit count per role
+const MAFIA_DEFAULT_SETTINGS = {
+  nightSec: 60,
+  daySec: 60,
+  minPlayers: 5,
+  maxPlayers: 20,
+  lobbySec: 0, // auto-start countdown once enough players are in (0 = host starts manually)
+  readyCheck: false, // only players who pressed Ready are dealt in
+  preset: "classic",
+  mafia: 1,
+  godfather: 0,
+  medic: 1,
+  bodyguard: 0,
+  detective: 1,
+  vigilante: 0,
+  jester: 0,
+  revealOnDeath: false,
+  medicSelfSave: true,
+  afkLimit: 2, // missed phases in a row before a player is removed (0 = never)
+  anonymousVotes: false, // tally shows counts only instead of who voted for whom
+  tieRunoff: false // false = a tied vote lynches nobody
+};
+
+// Every role declares its team, night action, what a detective sees and how it wins.
+// Adding a role = adding an entry here (plus a count in MAFIA_DEFAULT_SETTINGS for the custom preset).
+const MAFIA_ROLES = {
+  mafia: {
+    team: "mafia",
+    action: "kill",
+    investigates: "mafia",
+    blurb: "At night, vote with the mafia on someone to eliminate."
+  },
+  godfather: {
+    team: "mafia",
+    action: "kill",
+    investigates: "town", // appears innocent to detectives
+    blurb: "You lead the mafia and look innocent to detectives. At night, vote on someone to eliminate."
+  },
+  medic: {
+    team: "town",
+    action: "save",
+    investigates: "town",
+    noRepeatTarget: true,
+    blurb: "At night, choose someone to protect (not the same person two nights in a row)."
+  },
+  bodyguard: {
+    team: "town",
+    action: "guard",
+    investigates: "town",
+    blurb: "At night, guard someone. If they are attacked, you die in their place."
+  },
+  detective: {
+    team: "town",
+    action: "invest",
+    investigates: "town",
+    blurb: "At night, investigate someone to learn if they are mafia."
+  },
+  vigilante: {
+    team: "town",
+    action: "shoot",
+    shots: 1,
+    investigates: "town",
+    blurb: "You have one bullet. At night, you may shoot someone you suspect."
+  },
+  villager: {
+    team: "town",
+    action: null,
+    investigates: "town",
+    blurb: "During the day, vote wisely."
+  },
+  jester: {
+    team: "jester",
+    action: null,
+    investigates: "town",
+    winsIfLynched: true,
+    blurb: "You win if the town votes you out. Act suspicious!"
+  }
+};
+
+// Factions that can end the game. hostile = town must eliminate them to win.
+const MAFIA_TEAMS = {
+  town: {
+    banner: "🏳️ Town wins!",
+    hasWon: (living) => Object.entries(MAFIA_TEAMS).every(([team, t]) => !t.hostile || !living[team])
+  },
+  mafia: {
+    banner: "🏴 Mafia wins!",
+    hostile: true,
+    // Parity: the mafia can no longer be outvoted
+    hasWon: (living, total) => (living.mafia || 0) > 0 && living.mafia >= total - living.mafia
+  }
+};
+
+// Night actions: menu prompt and who may be targeted
+const MAFIA_ACTIONS = {
+  kill: { prompt: "choose who to eliminate.", placeholder: "Choose target…", targets: (game, uid, id) => mafiaRole(game.roles.get(id)).team !== "mafia" },
+  save: { prompt: "choose who to protect.", placeholder: "Protect…", targets: (game, uid, id) => id !== uid || game.settings.medicSelfSave },
+  guard: { prompt: "choose who to guard.", placeholder: "Guard…", targets: (game, uid, id) => id !== uid },
+  invest: { prompt: "choose who to investigate.", placeholder: "Investigate…", targets: (game, uid, id) => id !== uid },
+  shoot: { prompt: "choose who to shoot (you only get one bullet).", placeholder: "Shoot…", targets: (game, uid, id) => id !== uid }
+};
+
+/* ================= RNG ================= */
+/** Turns a number or string into a 32-bit seed. */
+function mafiaSeed(value) {
+  if (typeof value === "number") return value >>> 0;
+  let h = 2166136261; // FNV-1a
+  for (const ch of String(value)) h = Math.imul(h ^ ch.codePointAt(0), 16777619);
+  return h >>> 0;
+}
+
+/** Next float in [0, 1) from state.rngState (mulberry32). The state lives on the game, so it survives restarts. */
+function mafiaRandom(state) {
+  state.rngState = (state.rngState + 0x6d2b79f5) >>> 0;
+  let t = state.rngState;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+function mafiaShuffle(state, arr) {
+  for (let i = arr.length - 1; i > 0; i--) {
+    const j = Math.floor(mafiaRandom(state) * (i + 1));
+    [arr[i], arr[j]] = [arr[j], arr[i]];
+  }
+  return arr;
+}
+
+/* ================= Rules ================= */
+function mafiaRole(role) {
+  return MAFIA_ROLES[role] || MAFIA_ROLES.villager;
+}
+function mafiaRoleWins(game, winner, userId) {
+  const def = mafiaRole(game.roles.get(userId));
+  if (def.winsIfLynched) return game.lynchWinners.has(userId);
+  return def.team === winner;
+}
+function mafiaShotsLeft(game, userId) {
+  const def = mafiaRole(game.roles.get(userId));
+  if (!def.shots) return Infinity;
+  return def.shots - (game.shotsUsed?.get(userId) || 0);
+}
+function mafiaTeamIds(game) {
+  return [...game.roles.keys()].filter((id) => mafiaRole(game.roles.get(id)).team === "mafia");
+}
+
+/** Living players expected to act this phase: everyone by day, roles with a usable action by night. */
+function mafiaExpectedActors(game) {
+  const living = [...game.living];
+  if (game.phase === "day") return living;
+  return living.filter((id) => mafiaRole(game.roles.get(id)).action && mafiaShotsLeft(game, id) > 0);
+}
+function mafiaPendingActors(game) {
+  const done = game.phase === "day" ? game.dayVotes : game.nightActions;
+  return mafiaExpectedActors(game).filter((id) => !done.has(id));
+}
+function mafiaNightComplete(game) {
+  return game.phase === "night" && mafiaPendingActors(game).length === 0;
+}
+/** Day can end early once everyone voted or one choice (a player or skip) has an outright majority. */
+function mafiaDayDecided(game) {
+  if (game.phase !== "day") return false;
+  if (mafiaPendingActors(game).length === 0) return true;
+  const tally = new Map();
+  for (const t of game.dayVotes.values()) tally.set(t, (tally.get(t) || 0) + 1);
+  return [...tally.values()].some((c) => c > game.living.size / 2);
+}
+
+/** Players this user may pick right now (night action or day vote), not counting the skip option. */
+function mafiaValidTargets(game, userId) {
+  if (game.phase === "day") return (game.runoff || [...game.living]).filter((id) => id !== userId && game.living.has(id));
+  if (game.phase !== "night") return [];
+  const def = mafiaRole(game.roles.get(userId));
+  const act = MAFIA_ACTIONS[def.action];
+  if (!act) return [];
+  return [...game.living]
+    .filter((id) => act.targets(game, userId, id))
+    .filter((id) => !(def.noRepeatTarget && game.lastTargets.get(userId) === id));
+}
+
+/** How long the current phase lasts (0 = no timer); a runoff gets half a day (at least 15 s). */
+function mafiaPhaseSeconds(game) {
+  if (game.phase === "lobby") return game.countdown ? game.settings.lobbySec : 0;
+  if (game.phase === "night") return game.settings.nightSec;
+  if (game.phase === "day") return game.runoff ? Math.max(15, Math.floor(game.settings.daySec / 2)) : game.settings.daySec;
+  return 0;
+}
+
+/** Updates consecutive missed phases; returns living players who reached the AFK limit. */
+function mafiaTrackInactivity(game, expected, pending) {
+  if (!game.missed) game.missed = new Map(); // userId -> consecutive missed phases
+  for (const id of expected) game.missed.set(id, pending.includes(id) ? (game.missed.get(id) || 0) + 1 : 0);
+  if (!game.settings.afkLimit) return [];
+  return expected.filter((id) => game.living.has(id) && game.missed.get(id) >= game.settings.afkLimit);
+}
+
+/** Seats per role for n players: { mafia, godfather, ..., villager }. */
+function mafiaRoleCounts(n, settings = MAFIA_DEFAULT_SETTINGS) {
+  const counts = {};
+  for (const role of Object.keys(MAFIA_ROLES)) counts[role] = 0;
+
+  if (settings.preset === "custom") {
+    for (const role of Object.keys(MAFIA_ROLES)) {
+      if (role !== "villager") counts[role] = settings[role] || 0;
+    }
+  } else {
+    counts.mafia = Math.max(1, Math.floor(n / 4));
+    if (settings.preset !== "simple") {
+      counts.medic = n >= 5 ? 1 : 0;
+      counts.detective = n >= 6 ? 1 : 0;
+    }
+    if (settings.preset === "extended") {
+      // The godfather takes one of the mafia seats
+      if (n >= 7) { counts.godfather = 1; counts.mafia -= 1; }
+      counts.bodyguard = n >= 7 ? 1 : 0;
+      counts.vigilante = n >= 8 ? 1 : 0;
+      counts.jester = n >= 9 ? 1 : 0;
+    }
+  }
+
+  const special = Object.values(counts).reduce((a, b) => a + b, 0);
+  counts.villager = n - special;
+  return counts;
+}
+
+function mafiaCountsText(counts) {
+  return Object.entries(counts)
+    .filter(([, c]) => c > 0)
+    .map(([role, c]) => `${role[0].toUpperCase()}${role.slice(1)} ${c}`)
+    .join(", ");
+}
+
+/** Returns an error message, or "" when every allowed player count gives a fair, winnable game. */
+function validateMafiaSettings(s) {
+  for (const key of ["nightSec", "daySec"]) {
+    if (!Number.isInteger(s[key]) || s[key] < 15 || s[key] > 600) return `${key} must be 15-600 seconds.`;
+  }
+  if (!Number.isInteger(s.minPlayers) || s.minPlayers < 3) return "Minimum players must be at least 3.";
+  if (!Number.isInteger(s.maxPlayers) || s.maxPlayers > 25) return "Maximum players can't be more than 25.";
+  if (s.minPlayers > s.maxPlayers) return "Minimum players can't be bigger than maximum players.";
+  if (!Number.isInteger(s.afkLimit) || s.afkLimit < 0 || s.afkLimit > 10) return "Missed phases before removal must be 0-10.";
+  if (!Number.isInteger(s.lobbySec) || (s.lobbySec !== 0 && (s.lobbySec < 15 || s.lobbySec > 600))) return "Auto-start countdown must be 0 (off) or 15-600 seconds.";
+  if (!MAFIA_PRESETS.includes(s.preset)) return `Preset must be one of: ${MAFIA_PRESETS.join(", ")}.`;
+  for (const key of Object.keys(MAFIA_ROLES)) {
+    if (key !== "villager" && (!Number.isInteger(s[key]) || s[key] < 0)) return `${key} must be a whole number ≥ 0.`;
+  }
+
+  for (let n = s.minPlayers; n <= s.maxPlayers; n++) {
+    const c = mafiaRoleCounts(n, s);
+    const mafiaTeam = Object.keys(c).filter((r) => r !== "villager" && mafiaRole(r).team === "mafia").reduce((a, r) => a + c[r], 0);
+    if (mafiaTeam < 1) return "There must be at least 1 mafia or godfather.";
+    if (c.villager < 0) return `With ${n} players there aren't enough seats for ${n - c.villager} special roles.`;
+    // Mafia win on parity, so everyone else has to start with a majority
+    if (mafiaTeam >= n - mafiaTeam) return `With ${n} players the mafia (${mafiaTeam}) would win immediately.`;
+  }
+  return "";
+}
+
+function mafiaWinCheck(game) {
+  const living = {}; // team -> living count
+  for (const id of game.living) {
+    const team = mafiaRole(game.roles.get(id)).team;
+    living[team] = (living[team] || 0) + 1;
+  }
+  for (const [team, t] of Object.entries(MAFIA_TEAMS)) {
+    if (t.hasWon(living, game.living.size)) return team;
+  }
+  return null;
+}
+
+/** Lobby players who would be dealt in right now: the ready ones when the ready-check is on, else everyone. */
+function mafiaStartingPlayers(game, readyId = null) {
+  const players = [...game.players];
+  if (!game.settings.readyCheck) return players;
+  return players.filter((id) => game.ready.has(id) || id === readyId);
+}
+
+/** Returns why the lobby can't start yet, or "". readyId counts as ready (the host pressing Start). */
+function mafiaStartBlocker(game, readyId = null) {
+  if (game.phase !== "lobby") return "Already started.";
+  const n = mafiaStartingPlayers(game, readyId).length;
+  const min = game.settings.minPlayers;
+  if (n >= min) return "";
+  return game.settings.readyCheck ? `Only ${n} player${n === 1 ? " is" : "s are"} ready (need ${min}+).` : `Not enough players (need ${min}+).`;
+}
+
+/* ================= State machine ================= */
+/** A fresh lobby. The caller adds whatever it needs to find the game again (ids, channel, …). */
+function createMafiaState(hostId, settings, seed) {
+  return {
+    hostId,
+    phase: "lobby",
+    players: new Set([hostId]),
+    ready: new Set(), // players who passed the ready-check
+    kicked: new Set(), // removed by the host; can't rejoin this lobby
+    countdown: false, // auto-start countdown running
+    settings: { ...settings },
+    seed: mafiaSeed(seed),
+    rngState: mafiaSeed(seed)
+  };
+}
+
+function recordEliminations(game, ids, cause) {
+  for (const id of ids) game.eliminations.push({ userId: id, round: game.round, cause });
+}
+
+/**
+ * Re-evaluates a lobby after it changed: a full lobby (everyone ready, with the ready-check) starts at once,
+ * otherwise the auto-start countdown runs while enough players are in and stops when they aren't.
+ */
+function lobbyChanged(game, events, autoStart = true) {
+  const startable = !mafiaStartBlocker(game);
+  if (autoStart && startable && mafiaStartingPlayers(game).length >= game.settings.maxPlayers) {
+    dealRoles(game, events, null);
+    return;
+  }
+  const run = startable && game.settings.lobbySec > 0;
+  if (run === game.countdown) return;
+  game.countdown = run;
+  events.push(run ? { type: "countdown", seconds: game.settings.lobbySec } : { type: "countdownStopped" });
+}
+
+function dealRoles(game, events, readyId) {
+  const players = mafiaStartingPlayers(game, readyId);
+  const benched = [...game.players].filter((id) => !players.includes(id));
+  for (const id of benched) game.players.delete(id);
+
+  const counts = mafiaRoleCounts(players.length, game.settings);
+  const pool = [];
+  for (const [role, count] of Object.entries(counts)) {
+    for (let i = 0; i < count; i++) pool.push(role);
+  }
+  mafiaShuffle(game, pool);
+  mafiaShuffle(game, players);
+
+  game.phase = "setup";
+  game.countdown = false;
+  game.roles = new Map();
+  for (let i = 0; i < players.length; i++) game.roles.set(players[i], pool[i] || "villager");
+  game.living = new Set(players);
+  game.round = 0;
+  game.nightActions = new Map();
+  game.dayVotes = new Map();
+  game.runoff = null;
+  game.shotsUsed = new Map(); // userId -> shots fired (vigilante)
+  game.lastTargets = new Map(); // userId -> last night's target (for noRepeatTarget roles)
+  game.lynchWinners = new Set(); // jesters who got voted out
+  game.missed = new Map(); // userId -> consecutive missed phases (AFK removal)
+  game.eliminations = []; // { userId, round, cause } in order, for match history
+  game.detectiveHits = new Map(); // userId -> investigations that found mafia
+  events.push({ type: "started", players: players.length, counts, benched });
+}
+
+function startNight(game, events) {
+  game.round += 1;
+  game.phase = "night";
+  game.nightActions = new Map(); // actorId -> targetId
+  game.dayVotes = new Map();
+  events.push({ type: "night", round: game.round });
+}
+
+function startDay(game, events) {
+  game.phase = "day";
+  game.dayVotes = new Map();
+  game.runoff = null; // tied candidates during a runoff vote
+  events.push({ type: "day", round: game.round });
+}
+
+function resolveNight(game, events) {
+  const expected = mafiaExpectedActors(game);
+  const pending = mafiaPendingActors(game);
+
+  const actionsBy = (action) => [...game.nightActions.entries()]
+    .filter(([actor]) => game.living.has(actor) && mafiaRole(game.roles.get(actor)).action === action);
+
+  // The mafia team votes on one victim (plurality); every vigilante shot is a separate attack
+  const tally = new Map();
+  for (const [, target] of actionsBy("kill")) tally.set(target, (tally.get(target) || 0) + 1);
+
+  let killTarget = null;
+  let best = 0;
+  for (const [t, c] of tally.entries()) {
+    if (c > best) { best = c; killTarget = t; }
+  }
+
+  const attacks = killTarget ? [killTarget] : [];
+  for (const [actor, target] of actionsBy("shoot")) {
+    if (target === MAFIA_SKIP_VOTE || mafiaShotsLeft(game, actor) <= 0) continue;
+    game.shotsUsed.set(actor, (game.shotsUsed.get(actor) || 0) + 1);
+    attacks.push(target);
+  }
+
+  const saved = new Set(actionsBy("save").map(([, target]) => target));
+  const guards = new Map(actionsBy("guard").map(([actor, target]) => [target, actor]));
+
+  const eliminated = [];
+  for (const target of attacks) {
+    if (!game.living.has(target) || saved.has(target)) continue;
+    // A bodyguard takes the hit (once) instead of the person they guard
+    const bodyguard = guards.get(target);
+    const victim = bodyguard && game.living.has(bodyguard) ? bodyguard : target;
+    guards.delete(target);
+    game.living.delete(victim);
+    eliminated.push(victim);
+  }
+
+  const afk = mafiaTrackInactivity(game, expected, pending);
+  for (const id of afk) game.living.delete(id);
+  recordEliminations(game, eliminated, "night");
+  recordEliminations(game, afk, "afk");
+
+  game.lastTargets = new Map(game.nightActions);
+  game.phase = "dawn";
+  events.push({ type: "dawn", round: game.round, eliminated, afk });
+}
+
+/** timedOut: the day ran to its timer. A majority ending it early doesn't count against players yet to vote. */
+function resolveDay(game, events, timedOut) {
+  const votes = new Map(game.dayVotes);
+  const voters = [...game.living];
+  const tally = new Map();
+  for (const target of votes.values()) tally.set(target, (tally.get(target) || 0) + 1);
+
+  const best = Math.max(0, ...tally.values());
+  const top = [...tally.keys()].filter((t) => tally.get(t) === best);
+
+  // A tie between players goes to one runoff (if the rules allow it); skip winning or tying means no lynch
+  const tied = top.length > 1 && !top.includes(MAFIA_SKIP_VOTE);
+  if (tied && game.settings.tieRunoff && !game.runoff) {
+    game.runoff = top;
+    game.dayVotes = new Map();
+    events.push({ type: "runoff", candidates: top, votes, voters });
+    return;
+  }
+
+  const pending = mafiaPendingActors(game);
+  const afk = timedOut
+    ? mafiaTrackInactivity(game, mafiaExpectedActors(game), pending)
+    : mafiaTrackInactivity(game, mafiaExpectedActors(game).filter((id) => !pending.includes(id)), []);
+  const candidate = top.length === 1 && top[0] !== MAFIA_SKIP_VOTE ? top[0] : null;
+  const votedOut = candidate && game.living.has(candidate) ? candidate : null;
+  if (votedOut) game.living.delete(votedOut);
+  const afkRemoved = afk.filter((id) => id !== votedOut);
+  for (const id of afkRemoved) game.living.delete(id);
+  if (votedOut) recordEliminations(game, [votedOut], "lynch");
+  recordEliminations(game, afkRemoved, "afk");
+
+  // Jesters win on their own the moment they are lynched; the game carries on
+  const lynchWin = Boolean(votedOut && mafiaRole(game.roles.get(votedOut)).winsIfLynched);
+  if (lynchWin) game.lynchWinners.add(votedOut);
+
+  game.runoff = null;
+  game.phase = "dusk";
+  const reason = votedOut ? "lynch" : tied ? "tie" : top.includes(MAFIA_SKIP_VOTE) ? "skip" : "none";
+  events.push({ type: "dusk", round: game.round, votes, voters, votedOut, lynchWin, reason, afk: afkRemoved });
+}
+
+// Each handler validates first (returning an error message without touching the game), then applies.
+const MAFIA_STEPS = {
+  join(game, { userId }, events) {
+    if (game.phase !== "lobby") return "Game already started.";
+    if (game.players.has(userId)) return "You're already in this lobby.";
+    if (game.kicked.has(userId)) return "The host removed you from this lobby.";
+    if (game.players.size >= game.settings.maxPlayers) return "The lobby is full.";
+    game.players.add(userId);
+    events.push({ type: "joined", userId });
+    lobbyChanged(game, events);
+  },
+
+  // The host leaving hands the lobby to the longest-waiting player
+  leave(game, { userId }, events) {
+    if (game.phase !== "lobby") return "Game already started.";
+    if (!game.players.has(userId)) return "You're not in this lobby.";
+    game.players.delete(userId);
+    game.ready.delete(userId);
+    const newHostId = userId === game.hostId ? [...game.players][0] || null : null;
+    if (newHostId) game.hostId = newHostId;
+    events.push({ type: "left", userId, newHostId });
+    lobbyChanged(game, events);
+  },
+
+  kick(game, { userId, targetId }, events) {
+    if (game.phase !== "lobby") return "Game already started.";
+    if (userId !== game.hostId) return "Only the host can kick players.";
+    if (targetId === game.hostId) return "You can't kick yourself — leave the lobby instead.";
+    if (!game.players.has(targetId)) return "That player isn't in the lobby.";
+    game.players.delete(targetId);
+    game.ready.delete(targetId);
+    game.kicked.add(targetId);
+    events.push({ type: "kicked", userId: targetId });
+    lobbyChanged(game, events);
+  },
+
+  ready(game, { userId }, events) {
+    if (game.phase !== "lobby") return "Game already started.";
+    if (!game.settings.readyCheck) return "This lobby has no ready-check.";
+    if (!game.players.has(userId)) return "Join the lobby first.";
+    const ready = !game.ready.has(userId);
+    if (ready) game.ready.add(userId);
+    else game.ready.delete(userId);
+    events.push({ type: "ready", userId, ready });
+    lobbyChanged(game, events);
+  },
+
+  // New lobby rules; a full lobby doesn't start from here, only the countdown is re-evaluated
+  configure(game, { settings }, events) {
+    if (game.phase !== "lobby") return "Game already started.";
+    const error = validateMafiaSettings(settings);
+    if (error) return error;
+    if (game.players.size > settings.maxPlayers) return `${game.players.size} players already joined — maximum can't be lower than that.`;
+    Object.assign(game.settings, settings);
+    if (!game.settings.readyCheck) game.ready.clear();
+    // A new countdown length restarts a running countdown
+    if (game.countdown) {
+      game.countdown = false;
+      events.push({ type: "countdownStopped" });
+    }
+    events.push({ type: "configured" });
+    lobbyChanged(game, events, false);
+  },
+
+  // userId (the host pressing Start) counts as ready; without the ready-check everyone is dealt in
+  start(game, { userId = null }, events) {
+    const error = mafiaStartBlocker(game, userId);
+    if (error) return error;
+    dealRoles(game, events, userId);
+  },
+
+  // Leaves an in-between phase: setup/dusk → night, dawn → day, or ended when a team has won
+  advance(game, action, events) {
+    if (!["setup", "dawn", "dusk"].includes(game.phase)) return "Nothing to advance.";
+    const win = game.phase === "setup" ? null : mafiaWinCheck(game);
+    if (win) {
+      game.phase = "ended";
+      game.winner = win;
+      events.push({ type: "end", winner: win });
+    } else if (game.phase === "dawn") {
+      startDay(game, events);
+    } else {
+      startNight(game, events);
+    }
+  },
+
+  nightAction(game, { userId, action, targetId }, events) {
+    if (!game.living?.has(userId)) return "You are not alive.";
+    const skipping = targetId === MAFIA_SKIP_VOTE;
+    if (!skipping && !game.living.has(targetId)) return "Target is not alive.";
+    const def = mafiaRole(game.roles.get(userId));
+    if (game.phase !== "night" || def.action !== action) return "That phase is not active.";
+    if (skipping && action !== "shoot") return "You can't skip this action.";
+    if (!skipping && !MAFIA_ACTIONS[action].targets(game, userId, targetId)) return "You can't target that player.";
+    if (def.noRepeatTarget && game.lastTargets.get(userId) === targetId) return "You can't pick the same player two nights in a row.";
+    if (mafiaShotsLeft(game, userId) <= 0) return "You have no shots left.";
+    if (action === "invest" && game.nightActions.has(userId)) return "You already investigated someone tonight.";
+
+    game.nightActions.set(userId, targetId);
+    const event = { type: "nightAction", userId, action, targetId, skipped: skipping };
+    if (action === "invest") {
+      event.hit = mafiaRole(game.roles.get(targetId)).investigates === "mafia";
+      if (event.hit) game.detectiveHits.set(userId, (game.detectiveHits.get(userId) || 0) + 1);
+    }
+    events.push(event);
+    if (mafiaNightComplete(game)) resolveNight(game, events);
+  },
+
+  vote(game, { userId, targetId }, events) {
+    if (!game.living?.has(userId)) return "You are not alive.";
+    const skipping = targetId === MAFIA_SKIP_VOTE;
+    if (!skipping && !game.living.has(targetId)) return "Target is not alive.";
+    if (game.phase !== "day") return "That phase is not active.";
+    if (!skipping && game.runoff && !game.runoff.includes(targetId)) return "Only the tied players can be voted for in the runoff.";
+
+    game.dayVotes.set(userId, targetId);
+    events.push({ type: "vote", userId, targetId, skipped: skipping });
+    if (mafiaDayDecided(game)) resolveDay(game, events, false);
+  },
+
+  // The phase timer (or the lobby's auto-start countdown) ran out
+  resolve(game, action, events) {
+    if (game.phase === "lobby" && game.countdown) return MAFIA_STEPS.start(game, {}, events);
+    if (game.phase === "night") resolveNight(game, events);
+    else if (game.phase === "day") resolveDay(game, events, true);
+    else return "That phase is not active.";
+  }
+};
+
+/**
+ * Applies one action ({ type, ...fields }) to the game.
+ * Returns { error } when the action isn't allowed (the game is untouched), otherwise { events }.
+ */
+function mafiaStep(game, action) {
+  const handler = MAFIA_STEPS[action.type];
+  if (!handler) return { error: `Unknown Mafia action: ${action.type}` };
+  const events = [];
+  const error = handler(game, action, events);
+  return error ? { error } : { events };
+}
+
+module.exports = {
+  MAFIA_SKIP_VOTE,
+  MAFIA_PRESETS,
+  MAFIA_DEFAULT_SETTINGS,
+  MAFIA_ROLES,
+  MAFIA_TEAMS,
+  MAFIA_ACTIONS,
+  mafiaSeed,
+  mafiaRandom,
+  mafiaRole,
+  mafiaRoleWins,
+  mafiaShotsLeft,
+  mafiaTeamIds,
+  mafiaExpectedActors,
+  mafiaPendingActors,
+  mafiaNightComplete,
+  mafiaDayDecided,
+  mafiaValidTargets,
+  mafiaPhaseSeconds,
+  mafiaStartingPlayers,
+  mafiaStartBlocker,
+  mafiaRoleCounts,
+  mafiaCountsText,
+  validateMafiaSettings,
+  mafiaWinCheck,
+  createMafiaState,
+  mafiaStep
+};
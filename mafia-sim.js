@@ -0,0 +1,198 @@
+/**
+ * mafia-sim.js — plays Mafia games headlessly with bots to check the balance of mafiaRoleCounts().
+ *
+ * Usage:
+ *   node mafia-sim.js [--games 1000] [--players 5-12] [--seed 1] [--<setting> <value> ...]
+ *
+ * Any Mafia setting can be overridden, e.g. `--preset extended` or `--preset custom --mafia 2 --jester 1`.
+ * The same seed always gives the same numbers.
+ *
+ * Bots: the mafia agree on one random victim each night, the detective shares what they found and the
+ * town votes out known mafia (otherwise someone at random), the vigilante only shoots known mafia.
+ * Bots always act when asked, so a bot removed as AFK is reported as an error instead of skewing the numbers.
+ */
+
+const {
+  MAFIA_SKIP_VOTE,
+  MAFIA_DEFAULT_SETTINGS,
+  MAFIA_TEAMS,
+  mafiaSeed,
+  mafiaRandom,
+  mafiaRole,
+  mafiaPendingActors,
+  mafiaValidTargets,
+  mafiaRoleCounts,
+  mafiaCountsText,
+  validateMafiaSettings,
+  createMafiaState,
+  mafiaStep
+} = require("./mafia-engine");
+
+const MAX_ROUNDS = 100; // safety net; real games end long before this
+
+function pick(bots, list) {
+  return list.length ? list[Math.floor(mafiaRandom(bots) * list.length)] : null;
+}
+
+function step(game, action) {
+  const { error, events } = mafiaStep(game, action);
+  if (error) throw new Error(`${action.type}: ${error}`);
+  assertNoAfk(game, events);
+}
+
+// Bots act whenever asked, so an AFK removal means the engine misjudged inactivity (and would skew the numbers)
+function assertNoAfk(game, events) {
+  const afk = events.flatMap((e) => e.afk || []);
+  if (afk.length) throw new Error(`Bot(s) ${afk.join(", ")} removed as AFK in round ${game.round} (seed ${game.seed}).`);
+}
+
+/** Chooses a bot's night action or day vote from what the bots know so far. */
+function botChoice(game, bots, id, memory) {
+  const role = mafiaRole(game.roles.get(id));
+  const targets = mafiaValidTargets(game, id);
+  const exposed = targets.filter((t) => memory.known.has(t));
+
+  if (game.phase === "day") {
+    if (role.team === "mafia") return pick(bots, targets.filter((t) => mafiaRole(game.roles.get(t)).team !== "mafia")) || MAFIA_SKIP_VOTE;
+    if (role.team === "town" && exposed.length) return exposed[0];
+    return pick(bots, targets) || MAFIA_SKIP_VOTE;
+  }
+
+  if (role.action === "kill") {
+    // The team agrees on one victim (first pick of the night), like they would in the den
+    const teamPick = [...game.nightActions.entries()].find(([actor]) => mafiaRole(game.roles.get(actor)).action === "kill");
+    return teamPick ? teamPick[1] : pick(bots, targets);
+  }
+  if (role.action === "shoot") return exposed[0] || MAFIA_SKIP_VOTE;
+  if (role.action === "invest") return pick(bots, targets.filter((t) => !memory.investigated.has(t))) || pick(bots, targets);
+  return pick(bots, targets);
+}
+
+/** Plays one game with n bots. Returns { winner, rounds, lynchWinners }. */
+function simulateMafiaGame(settings, n, seed, bots) {
+  const ids = Array.from({ length: n }, (_, i) => `p${i + 1}`);
+  const game = createMafiaState(ids[0], settings, seed);
+  // Filling the lobby to its maximum starts the game on its own
+  for (const id of ids.slice(1)) step(game, { type: "join", userId: id });
+  if (settings.readyCheck) for (const id of ids) if (game.phase === "lobby") step(game, { type: "ready", userId: id });
+  if (game.phase === "lobby") step(game, { type: "start" });
+
+  // What the bots know: players exposed as mafia (shared by the detective) and who was already checked
+  const memory = { known: new Set(), investigated: new Set() };
+
+  while (game.phase !== "ended") {
+    if (game.round > MAX_ROUNDS) throw new Error(`Game did not end after ${MAX_ROUNDS} rounds (seed ${seed}).`);
+    if (["setup", "dawn", "dusk"].includes(game.phase)) {
+      step(game, { type: "advance" });
+      continue;
+    }
+
+    const phase = game.phase;
+    const round = game.round;
+    // Keep asking until the phase resolves; a tie runoff reopens the vote for everyone
+    let acted = true;
+    while (acted && game.phase === phase && game.round === round) {
+      acted = false;
+      for (const id of mafiaPendingActors(game)) {
+        if (game.phase !== phase || game.round !== round) break; // the last action resolved the phase
+        const targetId = botChoice(game, bots, id, memory);
+        if (!targetId) continue;
+        const action = phase === "day"
+          ? { type: "vote", userId: id, targetId }
+          : { type: "nightAction", userId: id, action: mafiaRole(game.roles.get(id)).action, targetId };
+        const { error, events } = mafiaStep(game, action);
+        if (error) continue;
+        acted = true;
+        assertNoAfk(game, events);
+        for (const e of events) {
+          if (e.type !== "nightAction" || e.action !== "invest") continue;
+          memory.investigated.add(e.targetId);
+          if (e.hit) memory.known.add(e.targetId);
+        }
+      }
+    }
+    // Nobody left who can act (e.g. a medic without a legal target): the timer would run out
+    if (game.phase === phase && game.round === round && (phase === "night" || phase === "day")) step(game, { type: "resolve" });
+  }
+
+  return { winner: game.winner, rounds: game.round, lynchWinners: game.lynchWinners.size };
+}
+
+/** Runs `games` games for every player count in [min, max] and returns one summary row per count. */
+function simulateMafiaBalance({ games = 1000, min = 5, max = 12, seed = 1, settings = MAFIA_DEFAULT_SETTINGS } = {}) {
+  const bots = { rngState: mafiaSeed(`${seed}:bots`) };
+  const rows = [];
+  for (let n = min; n <= max; n++) {
+    const s = { ...settings, minPlayers: n, maxPlayers: n };
+    const error = validateMafiaSettings(s);
+    if (error) {
+      rows.push({ players: n, error });
+      continue;
+    }
+    const wins = {};
+    let rounds = 0;
+    let jesterGames = 0;
+    for (let i = 0; i < games; i++) {
+      const result = simulateMafiaGame(s, n, mafiaSeed(`${seed}:${n}:${i}`), bots);
+      wins[result.winner] = (wins[result.winner] || 0) + 1;
+      rounds += result.rounds;
+      if (result.lynchWinners) jesterGames += 1;
+    }
+    rows.push({ players: n, roles: mafiaCountsText(mafiaRoleCounts(n, s)), games, wins, jesterGames, avgRounds: rounds / games });
+  }
+  return rows;
+}
+
+function parseArgs(argv) {
+  const opts = { games: 1000, min: 5, max: 12, seed: 1, settings: { ...MAFIA_DEFAULT_SETTINGS } };
+  for (let i = 0; i < argv.length; i += 2) {
+    const key = argv[i].replace(/^--/, "");
+    const raw = argv[i + 1] ?? "";
+    if (key === "games") opts.games = Number(raw);
+    else if (key === "seed") opts.seed = raw;
+    else if (key === "players") {
+      const [a, b = a] = raw.split("-").map(Number);
+      opts.min = a;
+      opts.max = b;
+    } else if (key in MAFIA_DEFAULT_SETTINGS) {
+      const def = MAFIA_DEFAULT_SETTINGS[key];
+      opts.settings[key] = typeof def === "boolean" ? raw === "yes" || raw === "true" : typeof def === "number" ? Number(raw) : raw;
+    } else {
+      throw new Error(`Unknown option --${key}`);
+    }
+  }
+  if (!Number.isInteger(opts.games) || opts.games < 1) throw new Error("--games must be a whole number ≥ 1");
+  if (!Number.isInteger(opts.min) || !Number.isInteger(opts.max) || opts.min < 3 || opts.max > 25 || opts.min > opts.max) {
+    throw new Error("--players must be a count or range within 3-25, e.g. 5-12");
+  }
+  return opts;
+}
+
+if (require.main === module) {
+  try {
+    const opts = parseArgs(process.argv.slice(2));
+    const pct = (x, total) => `${((x / total) * 100).toFixed(1)}%`.padStart(6);
+    const teams = Object.keys(MAFIA_TEAMS);
+
+    console.log(`Mafia balance — preset ${opts.settings.preset}, ${opts.games} games per player count, seed ${opts.seed}\n`);
+    console.log(["players", ...teams.map((t) => t.padStart(6)), "jester", "rounds", "roles"].join("  "));
+    for (const row of simulateMafiaBalance(opts)) {
+      if (row.error) {
+        console.log(`${String(row.players).padStart(7)}  skipped: ${row.error}`);
+        continue;
+      }
+      console.log([
+        String(row.players).padStart(7),
+        ...teams.map((t) => pct(row.wins[t] || 0, row.games)),
+        pct(row.jesterGames, row.games),
+        row.avgRounds.toFixed(1).padStart(6),
+        row.roles
+      ].join("  "));
+    }
+  } catch (e) {
+    console.error(e.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { simulateMafiaGame, simulateMafiaBalance };
@@ -0,0 +1,149 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  MAFIA_DEFAULT_SETTINGS,
+  mafiaRole,
+  mafiaWinCheck,
+  createMafiaState,
+  mafiaStep
+} = require("../mafia-engine");
+
+const PLAYERS = ["p1", "p2", "p3", "p4", "p5", "p6"];
+
+/** A started 6-player classic game (1 mafia, 1 medic, 1 detective, 3 villagers), still in setup. */
+function startedGame(seed = 42) {
+  const game = createMafiaState("p1", MAFIA_DEFAULT_SETTINGS, seed);
+  for (const id of PLAYERS.slice(1)) assert.equal(mafiaStep(game, { type: "join", userId: id }).error, undefined);
+  const { events } = mafiaStep(game, { type: "start", userId: "p1" });
+  assert.equal(events[0].type, "started");
+  return game;
+}
+
+function withRole(game, role) {
+  return PLAYERS.filter((id) => game.roles.get(id) === role);
+}
+
+test("the same seed deals the same roles", () => {
+  const a = startedGame(7);
+  const b = startedGame(7);
+  assert.deepEqual([...a.roles], [...b.roles]);
+  assert.equal(withRole(a, "mafia").length, 1);
+});
+
+test("lobby actions are validated", () => {
+  const game = createMafiaState("p1", { ...MAFIA_DEFAULT_SETTINGS, maxPlayers: 6 }, 1);
+  assert.equal(mafiaStep(game, { type: "join", userId: "p1" }).error, "You're already in this lobby.");
+  assert.match(mafiaStep(game, { type: "start", userId: "p1" }).error, /Not enough players/);
+
+  mafiaStep(game, { type: "join", userId: "p2" });
+  assert.equal(mafiaStep(game, { type: "kick", userId: "p2", targetId: "p1" }).error, "Only the host can kick players.");
+  assert.deepEqual(mafiaStep(game, { type: "kick", userId: "p1", targetId: "p2" }).events, [{ type: "kicked", userId: "p2" }]);
+  assert.equal(mafiaStep(game, { type: "join", userId: "p2" }).error, "The host removed you from this lobby.");
+  assert.equal(mafiaStep(game, { type: "dance" }).error, "Unknown Mafia action: dance");
+});
+
+test("actions in the wrong phase or by dead players are rejected without changing the game", () => {
+  const game = startedGame();
+  const [mafia] = withRole(game, "mafia");
+  const [villager] = withRole(game, "villager");
+
+  assert.equal(mafiaStep(game, { type: "vote", userId: villager, targetId: mafia }).error, "That phase is not active.");
+  mafiaStep(game, { type: "advance" });
+  assert.equal(game.phase, "night");
+  assert.equal(mafiaStep(game, { type: "vote", userId: villager, targetId: mafia }).error, "That phase is not active.");
+  assert.equal(mafiaStep(game, { type: "nightAction", userId: mafia, action: "kill", targetId: mafia }).error, "You can't target that player.");
+
+  game.living.delete(villager);
+  const before = new Map(game.nightActions);
+  assert.equal(mafiaStep(game, { type: "nightAction", userId: villager, action: "kill", targetId: mafia }).error, "You are not alive.");
+  assert.deepEqual(game.nightActions, before);
+});
+
+test("a full round: night kill, then the town votes out the mafia and wins", () => {
+  const game = startedGame();
+  const [mafia] = withRole(game, "mafia");
+  const [medic] = withRole(game, "medic");
+  const [detective] = withRole(game, "detective");
+  const [victim] = withRole(game, "villager");
+
+  mafiaStep(game, { type: "advance" });
+  mafiaStep(game, { type: "nightAction", userId: mafia, action: "kill", targetId: victim });
+  mafiaStep(game, { type: "nightAction", userId: medic, action: "save", targetId: medic });
+  const { events } = mafiaStep(game, { type: "nightAction", userId: detective, action: "invest", targetId: mafia });
+
+  // The last night action resolves the night on its own
+  assert.equal(events[0].hit, true);
+  assert.deepEqual(events.at(-1), { type: "dawn", round: 1, eliminated: [victim], afk: [] });
+  assert.equal(game.phase, "dawn");
+
+  mafiaStep(game, { type: "advance" });
+  assert.equal(game.phase, "day");
+  assert.equal(mafiaStep(game, { type: "vote", userId: victim, targetId: mafia }).error, "You are not alive.");
+
+  let dusk = null;
+  // A majority ends the day early, before everyone has voted
+  for (const id of [medic, detective, ...withRole(game, "villager")].filter((id) => game.living.has(id))) {
+    dusk = mafiaStep(game, { type: "vote", userId: id, targetId: mafia }).events.find((e) => e.type === "dusk");
+    if (dusk) break;
+  }
+  assert.equal(dusk.votedOut, mafia);
+  assert.equal(dusk.reason, "lynch");
+  assert.deepEqual([...game.missed.values()].filter((n) => n > 0), []);
+
+  assert.deepEqual(mafiaStep(game, { type: "advance" }).events, [{ type: "end", winner: "town" }]);
+  assert.equal(game.winner, "town");
+  assert.equal(mafiaStep(game, { type: "advance" }).error, "Nothing to advance.");
+});
+
+/** Plays a night where the medic saves the mafia's target, so all six players reach the day. */
+function toDay(game) {
+  const [mafia] = withRole(game, "mafia");
+  const [medic] = withRole(game, "medic");
+  const [detective] = withRole(game, "detective");
+  const [victim] = withRole(game, "villager");
+  mafiaStep(game, { type: "advance" });
+  mafiaStep(game, { type: "nightAction", userId: mafia, action: "kill", targetId: victim });
+  mafiaStep(game, { type: "nightAction", userId: medic, action: "save", targetId: victim });
+  mafiaStep(game, { type: "nightAction", userId: detective, action: "invest", targetId: victim });
+  mafiaStep(game, { type: "advance" });
+  assert.equal(game.phase, "day");
+  assert.equal(game.living.size, PLAYERS.length);
+}
+
+test("players who hadn't voted when a majority ended the day aren't counted as AFK", () => {
+  const game = startedGame();
+  game.settings.afkLimit = 1;
+  toDay(game);
+  const [mafia] = withRole(game, "mafia");
+  const voters = PLAYERS.filter((id) => id !== mafia).slice(0, 4);
+
+  let dusk = null;
+  for (const id of voters) dusk = mafiaStep(game, { type: "vote", userId: id, targetId: mafia }).events.find((e) => e.type === "dusk");
+  assert.equal(dusk.votedOut, mafia);
+  assert.deepEqual(dusk.afk, []);
+  assert.deepEqual([...game.missed.values()].filter((n) => n > 0), []);
+});
+
+test("players who didn't vote before the day timer ran out miss the phase", () => {
+  const game = startedGame();
+  toDay(game);
+  const [mafia] = withRole(game, "mafia");
+  const [voter] = PLAYERS.filter((id) => id !== mafia);
+  mafiaStep(game, { type: "vote", userId: voter, targetId: mafia });
+
+  const dusk = mafiaStep(game, { type: "resolve" }).events.find((e) => e.type === "dusk");
+  assert.equal(dusk.votedOut, mafia);
+  assert.equal(game.missed.get(voter), 0);
+  assert.deepEqual(PLAYERS.filter((id) => game.missed.get(id) === 1).sort(), PLAYERS.filter((id) => id !== voter).sort());
+});
+
+test("the mafia win at parity", () => {
+  const game = startedGame();
+  const [mafia] = withRole(game, "mafia");
+  const town = PLAYERS.filter((id) => mafiaRole(game.roles.get(id)).team === "town");
+  assert.equal(mafiaWinCheck(game), null);
+  for (const id of town.slice(1)) game.living.delete(id);
+  assert.deepEqual([...game.living].sort(), [mafia, town[0]].sort());
+  assert.equal(mafiaWinCheck(game), "mafia");
+});